@@ -97,6 +97,14 @@ console.log("cross:", dotProduct(groundNormal, lightFromBelow));
   Finally the light amount is multiplied against the RGB values of the color, and the
   gl_FragColor is set.
 
+  The bunny now stands on the ground and casts a shadow. A surface is in shadow when
+  something else is between it and the light. To find out, the scene is first drawn
+  from the point of view of the light into a texture called a shadow map, which saves
+  how far away the closest surface is. The normal drawing then checks each fragment
+  against the shadow map. See /shared/shadow-map.js and the "shadows" script in the
+  HTML for the details. The light is now positioned in the world rather than relative
+  to the camera, so that the shadow stays put when orbiting around the bunny.
+
 
   Exercises:
     
@@ -104,207 +112,101 @@ console.log("cross:", dotProduct(groundNormal, lightFromBelow));
 
     * Add variables to adjust the brightness and color of the light.
 
-    * Advanced: This example's light value is calculated per-fragment. For a less precise
-      but cheaper lighting model it's possible to calculate the surface brightness in the
-      vertex shader. This value is then passed down from the vertices as a varying value
-      and smoothed between the fragments. There are usually far fewer vertices than pixels
-      on the screen, and so less work will need to be done.
+    * Set the shadow bias to 0 to see the shadow acne, then raise it until the
+      shadow comes unattached from the bunny's feet.
+
+    * Turn on perVertexLighting to light each vertex instead of each fragment, and compare
+      the two up close on the bunny's ears and where the light falls off into the dark.
+
+    * Advanced: With perVertexLighting on, the lighting is done per-vertex but the shadow is
+      still looked up for every fragment. Move the shadow lookup into the
+      "gouraud-vertex-shader" too, and pass it down as part of vColor. First check that
+      gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) isn't 0, as not every device
+      can read a texture in a vertex shader. How does the edge of the shadow look now?
 */
 
 
 
 function BunnyDemo () {
-  
-  // Prep the canvas
-  this.canvas = document.getElementById("canvas");
-  this.canvas.width = window.innerWidth;
-  this.canvas.height = window.innerHeight;
-  
-  // Grab a context
-  this.gl = MDN.createContext(this.canvas);
-
-  this.webglProgram = this.setupProgram();
-  this.buffers = this.createBuffers();
-  this.locations = this.createLocations();
-  this.transforms = {}; // All of the matrix transforms get saved here
-  
-  this.color = [0.0, 0.4, 0.7, 1.0];
-  
-  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
-  
-  //These matrices don't change and only need to be computed once
-  this.computeProjectionMatrix();
-  this.computeViewMatrix();
-  //the model matrix gets re-computed every draw call
-  
-  this.addDatGui();
-  
-  // Start the drawing loop
-  this.draw();
+  MDN.BunnyDemo.call(this);
 }
 
-BunnyDemo.prototype.createBuffers = function() {
-  
-  var gl = this.gl;
-  
-  // See /shared/bunny-model.js for the array buffers referenced by MDN.bunnyModel.positions and MDN.bunnyModel.elements
-  
-  var positionsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.positions, gl.STATIC_DRAW);
-
-  var normalsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, normalsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.vertexNormals, gl.STATIC_DRAW);
-  
-  var elementsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, elementsBuffer);
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, MDN.bunnyModel.elements, gl.STATIC_DRAW);
-  
-  return {
-    positions: positionsBuffer,
-    elements: elementsBuffer,
-    normals: normalsBuffer
-  }
-  
-};
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
 
-BunnyDemo.prototype.setupProgram = function() {
+BunnyDemo.prototype.setup = function() {
   
-  var gl = this.gl;
-    
-  // Setup a WebGL program
-  var webglProgram = MDN.createWebGLProgramFromIds(gl, "vertex-shader", "fragment-shader");
-  gl.useProgram(webglProgram);
-
-  // Tell WebGL to test the depth when drawing
-  gl.enable(gl.DEPTH_TEST);
+  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
   
-  return webglProgram;
+  // A ground for the bunny to cast its shadow onto
+  this.ground = {
+    mesh         : MDN.createMeshBuffers(this.gl, MDN.createPlaneData(40)),
+    model        : MDN.translateMatrix(0, 0, 0, new Float32Array(16)),
+    normalMatrix : new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    material     : new MDN.Material({
+      color : { type: "color", value: [0.8, 0.8, 0.8, 1.0] }
+    })
+  };
+  
+  // The shadow map only needs to cover the part of the scene around the bunny
+  this.shadowMap = new MDN.ShadowMap(this.gl, 1024);
+  this.shadowBounds = { center: [0, 5, 0], radius: 20 };
 };
 
-BunnyDemo.prototype.createLocations = function() {
-  
-  var gl = this.gl;
-  
-  var locations = {
-    
-    // Save the uniform locations
-    model          : gl.getUniformLocation(this.webglProgram, "model"),
-    view           : gl.getUniformLocation(this.webglProgram, "view"),
-    projection     : gl.getUniformLocation(this.webglProgram, "projection"),
-    normalMatrix   : gl.getUniformLocation(this.webglProgram, "normalMatrix"),
-    color          : gl.getUniformLocation(this.webglProgram, "color"),
-    light          : gl.getUniformLocation(this.webglProgram, "light"),
-    
-    // Save the attribute location
-    position       : gl.getAttribLocation(this.webglProgram, "position"),
-    normal         : gl.getAttribLocation(this.webglProgram, "normal")
-  }
+BunnyDemo.prototype.computeNormalMatrix = function() {
   
-  return locations;
+  // The light is in world space so that it can cast shadows,
+  // so only the model matrix is used to transform the normals.
+  MDN.normalMatrix(this.transforms.model, this.transforms.normalMatrix)
 };
 
-BunnyDemo.prototype.computeViewMatrix = function() {
-  
-    // Move the camera so that the bunny is in view
-  var view = MDN.invertMatrix(
-    MDN.translateMatrix(0, 5, 10)
-  );
-  
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.view = new Float32Array(view);
-}
-
-BunnyDemo.prototype.computeProjectionMatrix = function() {
-  
-  var fieldOfViewInRadians      = Math.PI * 0.5;
-  var aspectRatio               = window.innerWidth / window.innerHeight;
-  var nearClippingPlaneDistance = 1;
-  var farClippingPlaneDistance  = 200;
-  
-  var projection = MDN.perspectiveMatrix(
-    fieldOfViewInRadians,
-    aspectRatio,
-    nearClippingPlaneDistance,
-    farClippingPlaneDistance
-  );
-  
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.projection = new Float32Array(projection);
+BunnyDemo.prototype.updateUniforms = function() {
   
+  this.program.setUniform("light", this.light);
 };
 
-BunnyDemo.prototype.computeModelMatrix = function( now ) {
-  
-  // Rotate according to time
-  var model = MDN.rotateYMatrix( now * 0.0005 )
-  
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.model = new Float32Array( model );
+BunnyDemo.prototype.reloadPrograms = function() {
   
-  /*
-    Performance caveat: in real production code it's best to re-use
-    objects and arrays. It's best not to create new arrays and objects
-    in a loop. This example chooses code clarity over performance.
-  */
+  // The shadow map has its own program to rebuild too
+  MDN.BunnyDemo.prototype.reloadPrograms.call(this);
+  this.shadowMap.replaceProgram();
 };
 
-BunnyDemo.prototype.computeNormalMatrix = function() {
-  
-  //Combine the view and the model together
-  var modelView = MDN.multiplyMatrices(this.transforms.view, this.transforms.model);
+BunnyDemo.prototype.getShaderIds = function() {
   
-  // Run the function from the shared/matrices.js that takes
-  // the inverse and then transpose of the provided matrix
-  // and returns a 3x3 matrix.
-  this.transforms.normalMatrix = MDN.normalMatrix(modelView)
+  // Add the shadow lookup to the fragment shader
+  var ids = MDN.BunnyDemo.prototype.getShaderIds.call(this);
+  ids.fragment = [].concat(ids.fragment, "shadows");
+  return ids;
 };
 
-BunnyDemo.prototype.draw = function() {
-  
-  var gl = this.gl;
-  var now = Date.now();
+BunnyDemo.prototype.drawScene = function() {
   
-  // Compute our model matrix
-  this.computeModelMatrix( now );
-  this.computeNormalMatrix();
+  // First draw the depth of the scene from the light into the shadow map
+  this.shadowMap.update(this.light, this.shadowBounds);
+  this.shadowMap.begin();
+  this.shadowMap.drawMesh(this.buffers.mesh, this.transforms.model);
+  this.shadowMap.drawMesh(this.ground.mesh, this.ground.model);
+  this.shadowMap.end();
   
-  // Update the data going to the GPU
-  this.updateAttributesAndUniforms();
+  // Then draw the scene like normal, reading the shadows from the shadow map
+  this.program.use();
+  this.shadowMap.setUniforms(this.program, 0);
   
-  // Perform the actual draw
-  gl.drawElements(gl.TRIANGLES, MDN.bunnyModel.elements.length, gl.UNSIGNED_SHORT, 0);
-
-  // Run the draw as a loop
-  requestAnimationFrame( this.draw.bind(this) );
+  MDN.BunnyDemo.prototype.drawScene.call(this);
+  this.drawGround();
 };
 
-BunnyDemo.prototype.updateAttributesAndUniforms = function() {
-
-  var gl = this.gl;
+BunnyDemo.prototype.drawGround = function() {
   
-  // Set the uniforms
-  gl.uniformMatrix4fv(this.locations.projection, false, this.transforms.projection);
-  gl.uniformMatrix4fv(this.locations.view, false, this.transforms.view);
-  gl.uniformMatrix4fv(this.locations.model, false, this.transforms.model);
-  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.transforms.normalMatrix);
-  gl.uniform4fv(this.locations.color, this.color);
-  gl.uniform3fv(this.locations.light, this.light);
-  
-  // Set the positions attribute
-  gl.enableVertexAttribArray(this.locations.position);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.positions);
-  gl.vertexAttribPointer(this.locations.position, 3, gl.FLOAT, false, 0, 0);
-  
-  // Set the normals attribute
-  gl.enableVertexAttribArray(this.locations.normal);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.normals);
-  gl.vertexAttribPointer(this.locations.normal, 3, gl.FLOAT, false, 0, 0);
+  var gl = this.gl;
   
-  // Set the elements array, or the order the positions will be drawn
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.elements );
+  // The ground doesn't move, so it gets its own model matrix, and its own material
+  gl.uniformMatrix4fv(this.locations.model, false, this.ground.model);
+  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.ground.normalMatrix);
+  this.ground.material.setUniforms(this.program);
   
+  MDN.drawMesh(gl, this.ground.mesh, this.locations);
 };
 
 BunnyDemo.prototype.addDatGui = function() {
@@ -337,8 +239,17 @@ BunnyDemo.prototype.addDatGui = function() {
 	gui.add(light, "lightDirectionX").min(-1).max(1).onChange(syncWithUniforms);
 	gui.add(light, "lightDirectionY").min(-1).max(1).onChange(syncWithUniforms);
 	gui.add(light, "lightDirectionZ").min(-1).max(1).onChange(syncWithUniforms);
+	
+	this.shadowMap.addDatGui(gui);
+	this.addShadingGui(gui);
 };
 
-//Run the code
-var bunnyDemo = new BunnyDemo();
-bunnyDemo.draw();
\ No newline at end of file
+//Run the code once the shared shader files have loaded, see /shared/shader-loader.js
+var bunnyDemo;
+
+MDN.loadShaderScripts(function( error ) {
+  if( error ) {
+    throw error;
+  }
+  bunnyDemo = new BunnyDemo();
+});
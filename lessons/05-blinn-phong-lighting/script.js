@@ -49,6 +49,26 @@
   View the shader code to see how this is accomplished using GLSL. Additionally
   the shader code features a separate specular color and surface color.
 
+  Before Blinn's halfway vector, the original Phong model reflected the light
+  across the surface normal like a mirror, and then compared the reflection with
+  the direction to the camera. Use the specularModel switch to compare the two.
+  The Phong highlight is rounder and smaller for the same shininess, it takes
+  roughly 4 times the shininess in Blinn Phong to match it.
+
+  Neither model conserves energy. Raising the shininess shrinks the highlight
+  without making it any brighter, so the surface reflects less light overall.
+  The normalized versions multiply the highlight by a factor that grows with the
+  shininess, so small highlights get brighter like they do in the real world.
+
+  All of the lighting so far is done for each fragment. The perVertexLighting
+  switch instead does the lighting once for each vertex, and blends the colors
+  across each triangle. This is known as Gouraud shading. It's much cheaper, but
+  look at how the highlight breaks up into the shapes of the triangles.
+
+  The bunny also casts a shadow onto the ground using a shadow map, see the
+  Lambert lesson and /shared/shadow-map.js for how this works. The specular
+  highlight is in the shadow too, as the light can't reach it to be reflected.
+
   Exercise:
 
     1) Play with the example's interactive interface to adjust values to get a feel for
@@ -63,214 +83,104 @@
 */
 
 function BunnyDemo () {
-  
-  // Prep the canvas
-  this.canvas = document.getElementById("canvas");
-  this.canvas.width = window.innerWidth;
-  this.canvas.height = window.innerHeight;
-  
-  // Grab a context
-  this.gl = MDN.createContext(this.canvas);
-
-  this.webglProgram = this.setupProgram();
-  this.buffers = this.createBuffers();
-  this.locations = this.createLocations();
-  this.transforms = {}; // All of the matrix transforms get saved here
-  
-  this.cameraPosition    = [0, 5, 10];
-  this.color             = [0.1, 0.4, 0.7, 1.0];
-  this.specularColor     = [1.0, 1.0, 1.0, 1.0];
-  this.specularAmount    = 0.5;
-  this.specularShininess = 50;
-  
-  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
-  
-  //These matrices don't change and only need to be computed once
-  this.computeProjectionMatrix();
-  this.computeViewMatrix();
-  //the model matrix gets re-computed every draw call
-  
-  this.addDatGui();
-  
-  // Start the drawing loop
-  this.draw();
+  MDN.BunnyDemo.call(this);
 }
 
-BunnyDemo.prototype.createBuffers = function() {
-  
-  var gl = this.gl;
-  
-  // See /shared/bunny-model.js for the array buffers referenced by MDN.bunnyModel.positions and MDN.bunnyModel.elements
-  
-  var positionsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.positions, gl.STATIC_DRAW);
-
-  var normalsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, normalsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.vertexNormals, gl.STATIC_DRAW);
-  
-  var elementsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, elementsBuffer);
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, MDN.bunnyModel.elements, gl.STATIC_DRAW);
-  
-  return {
-    positions: positionsBuffer,
-    elements: elementsBuffer,
-    normals: normalsBuffer
-  }
-  
-};
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
 
-BunnyDemo.prototype.setupProgram = function() {
-  
-  var gl = this.gl;
-    
-  // Setup a WebGL program
-  var webglProgram = MDN.createWebGLProgramFromIds(gl, "vertex-shader", "fragment-shader");
-  gl.useProgram(webglProgram);
+// The specular models in the shader, these match the shader's defines
+BunnyDemo.prototype.specularModels = ["Phong", "Blinn Phong", "Normalized Phong", "Normalized Blinn Phong"];
 
-  // Tell WebGL to test the depth when drawing
-  gl.enable(gl.DEPTH_TEST);
+BunnyDemo.prototype.createMaterial = function() {
   
-  return webglProgram;
+  // Each parameter is sent to the uniform with the same name, see /shared/material.js
+  return new MDN.Material({
+    color             : { type: "color", value: [0.1, 0.4, 0.7, 1.0], label: "diffuseColor" },
+    specularColor     : { type: "color", value: [1.0, 1.0, 1.0, 1.0] },
+    specularAmount    : { type: "float", value: 0.5, min: 0, max: 10 },
+    specularShininess : { type: "float", value: 50, min: 1, max: 100 }
+  });
 };
 
-BunnyDemo.prototype.createLocations = function() {
+BunnyDemo.prototype.setup = function() {
   
-  var gl = this.gl;
+  this.specularModel = "Blinn Phong";
   
-  var locations = {
-    
-    // Save the uniform locations
-    model             : gl.getUniformLocation(this.webglProgram, "model"),
-    view              : gl.getUniformLocation(this.webglProgram, "view"),
-    projection        : gl.getUniformLocation(this.webglProgram, "projection"),
-    normalMatrix      : gl.getUniformLocation(this.webglProgram, "normalMatrix"),
-    color             : gl.getUniformLocation(this.webglProgram, "color"),
-    specularColor     : gl.getUniformLocation(this.webglProgram, "specularColor"),
-    light             : gl.getUniformLocation(this.webglProgram, "light"),
-    cameraPosition    : gl.getUniformLocation(this.webglProgram, "cameraPosition"),
-    ambientLight      : gl.getUniformLocation(this.webglProgram, "ambientLight"),
-    specularAmount    : gl.getUniformLocation(this.webglProgram, "specularAmount"),
-    specularShininess : gl.getUniformLocation(this.webglProgram, "specularShininess"),
-    
-    // Save the attribute location
-    position          : gl.getAttribLocation(this.webglProgram, "position"),
-    normal            : gl.getAttribLocation(this.webglProgram, "normal")
-  }
+  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
+  
+  // A ground for the bunny to cast its shadow onto
+  this.ground = {
+    mesh         : MDN.createMeshBuffers(this.gl, MDN.createPlaneData(40)),
+    model        : MDN.translateMatrix(0, 0, 0, new Float32Array(16)),
+    normalMatrix : new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    material     : new MDN.Material({
+      color : { type: "color", value: [0.8, 0.8, 0.8, 1.0] }
+    })
+  };
   
-  return locations;
+  // The shadow map only needs to cover the part of the scene around the bunny
+  this.shadowMap = new MDN.ShadowMap(this.gl, 1024);
+  this.shadowBounds = { center: [0, 5, 0], radius: 20 };
 };
 
-BunnyDemo.prototype.computeViewMatrix = function() {
-  
-  // Move the camera so that the bunny is in view
-  var view = MDN.translateMatrix(
-	  this.cameraPosition[0],
-	  this.cameraPosition[1],
-	  this.cameraPosition[2]
-  );
-  
-  var inverse = MDN.invertMatrix(view);
+BunnyDemo.prototype.computeNormalMatrix = function() {
   
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.view = new Float32Array(inverse);
-}
+  // The lighting for this lesson is done in world space, so only the
+  // model matrix is used to transform the normals.
+  MDN.normalMatrix(this.transforms.model, this.transforms.normalMatrix)
+};
 
-BunnyDemo.prototype.computeProjectionMatrix = function() {
-  
-  var fieldOfViewInRadians      = Math.PI * 0.5;
-  var aspectRatio               = window.innerWidth / window.innerHeight;
-  var nearClippingPlaneDistance = 1;
-  var farClippingPlaneDistance  = 200;
-  
-  var projection = MDN.perspectiveMatrix(
-    fieldOfViewInRadians,
-    aspectRatio,
-    nearClippingPlaneDistance,
-    farClippingPlaneDistance
-  );
-  
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.projection = new Float32Array(projection);
+BunnyDemo.prototype.updateUniforms = function() {
   
+  // The uniforms are set by name, see MDN.ShaderProgram in /shared/shaders.js
+  this.program.setUniform("light", this.light);
+  this.program.setUniform("cameraPosition", this.camera.position);
+  this.program.setUniform("specularModel", this.specularModels.indexOf(this.specularModel));
 };
 
-BunnyDemo.prototype.computeModelMatrix = function( now ) {
+BunnyDemo.prototype.reloadPrograms = function() {
   
-  // Rotate according to time
-  var model = MDN.rotateYMatrix( now * 0.0005 )
-  
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.model = new Float32Array( model );
-  
-  /*
-    Performance caveat: in real production code it's best to re-use
-    objects and arrays. It's best not to create new arrays and objects
-    in a loop. This example chooses code clarity over performance.
-  */
+  // The shadow map has its own program to rebuild too
+  MDN.BunnyDemo.prototype.reloadPrograms.call(this);
+  this.shadowMap.replaceProgram();
 };
 
-BunnyDemo.prototype.computeNormalMatrix = function() {
-  
-  //Combine the view and the model together
-  var modelView = MDN.multiplyMatrices(this.transforms.view, this.transforms.model);
+BunnyDemo.prototype.getShaderIds = function() {
   
-  // Run the function from the shared/matrices.js that takes
-  // the inverse and then transpose of the provided matrix
-  // and returns a 3x3 matrix.
-  this.transforms.normalMatrix = MDN.normalMatrix(this.transforms.model)
+  // Add the shadow lookup to the fragment shader
+  var ids = MDN.BunnyDemo.prototype.getShaderIds.call(this);
+  ids.fragment = [].concat(ids.fragment, "shadows");
+  return ids;
 };
 
-BunnyDemo.prototype.draw = function() {
+BunnyDemo.prototype.drawScene = function() {
   
-  var gl = this.gl;
-  var now = Date.now();
-  
-  // Compute our model matrix
-  this.computeModelMatrix( now );
-  this.computeNormalMatrix();
+  // First draw the depth of the scene from the light into the shadow map
+  this.shadowMap.update(this.light, this.shadowBounds);
+  this.shadowMap.begin();
+  this.shadowMap.drawMesh(this.buffers.mesh, this.transforms.model);
+  this.shadowMap.drawMesh(this.ground.mesh, this.ground.model);
+  this.shadowMap.end();
   
-  // Update the data going to the GPU
-  this.updateAttributesAndUniforms();
+  // Then draw the scene like normal, reading the shadows from the shadow map
+  this.program.use();
+  this.shadowMap.setUniforms(this.program, 0);
   
-  // Perform the actual draw
-  gl.drawElements(gl.TRIANGLES, MDN.bunnyModel.elements.length, gl.UNSIGNED_SHORT, 0);
-
-  // Run the draw as a loop
-  requestAnimationFrame( this.draw.bind(this) );
+  MDN.BunnyDemo.prototype.drawScene.call(this);
+  this.drawGround();
 };
 
-BunnyDemo.prototype.updateAttributesAndUniforms = function() {
-
-  var gl = this.gl;
-  
-  // Set the uniforms
-  gl.uniformMatrix4fv(this.locations.projection, false, this.transforms.projection);
-  gl.uniformMatrix4fv(this.locations.view, false, this.transforms.view);
-  gl.uniformMatrix4fv(this.locations.model, false, this.transforms.model);
-  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.transforms.normalMatrix);
-  gl.uniform4fv(this.locations.color, this.color);
-  gl.uniform4fv(this.locations.specularColor, this.specularColor);
-  gl.uniform3fv(this.locations.light, this.light);
-  gl.uniform3fv(this.locations.cameraPosition, this.cameraPosition);
-  gl.uniform1f(this.locations.specularAmount, this.specularAmount);
-  gl.uniform1f(this.locations.specularShininess, this.specularShininess);
-  
-  // Set the positions attribute
-  gl.enableVertexAttribArray(this.locations.position);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.positions);
-  gl.vertexAttribPointer(this.locations.position, 3, gl.FLOAT, false, 0, 0);
+BunnyDemo.prototype.drawGround = function() {
   
-  // Set the normals attribute
-  gl.enableVertexAttribArray(this.locations.normal);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.normals);
-  gl.vertexAttribPointer(this.locations.normal, 3, gl.FLOAT, false, 0, 0);
+  var gl = this.gl;
   
-  // Set the elements array, or the order the positions will be drawn
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.elements );
+  // The ground doesn't move, so it gets its own model matrix, and its own material
+  gl.uniformMatrix4fv(this.locations.model, false, this.ground.model);
+  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.ground.normalMatrix);
+  this.ground.material.setUniforms(this.program);
   
+  MDN.drawMesh(gl, this.ground.mesh, this.locations);
 };
 
 BunnyDemo.prototype.addDatGui = function() {
@@ -301,37 +211,25 @@ BunnyDemo.prototype.addDatGui = function() {
   
   var gui = new dat.GUI();
   
+  gui.add(this, "specularModel", this.specularModels);
+  
   gui.add(light, "lightDirectionX").min(-1).max(1).onChange(syncWithUniforms);
   gui.add(light, "lightDirectionY").min(-1).max(1).onChange(syncWithUniforms);
   gui.add(light, "lightDirectionZ").min(-1).max(1).onChange(syncWithUniforms);
 
-  // Dat.gui expects colors to be 0-255
-  function to255(c) {
-    return [c[0]*255, c[1]*255, c[2]*255, c[3]*255];
-  }
+  this.material.addDatGui(gui);
   
-  function from255(c) {
-    return [c[0]/255, c[1]/255, c[2]/255, c[3]/255];
-  }
-  
-  var colors = {
-    diffuseColor : to255(this.color),
-    specularColor : to255(this.specularColor)
-  }
-
-  gui.addColor(colors, "diffuseColor").onChange(function() {
-    this.color = from255(colors.diffuseColor);
-  }.bind(this))
-  
-  gui.addColor(colors, "specularColor").onChange(function() {
-    this.specularColor = from255(colors.specularColor);
-  }.bind(this))
-    
-  gui.add(this, "specularAmount").min(0).max(10);
-  gui.add(this, "specularShininess").min(1).max(100);
+  this.shadowMap.addDatGui(gui);
+  this.addShadingGui(gui);
   
 };
 
-//Run the code
-var bunnyDemo = new BunnyDemo();
-bunnyDemo.draw();
\ No newline at end of file
+//Run the code once the shared shader files have loaded, see /shared/shader-loader.js
+var bunnyDemo;
+
+MDN.loadShaderScripts(function( error ) {
+  if( error ) {
+    throw error;
+  }
+  bunnyDemo = new BunnyDemo();
+});
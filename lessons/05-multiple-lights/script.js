@@ -1,313 +1,241 @@
 /*
-  The key to taking a flat shaded model and transforming it into a lit
-  one lies in the user of a normal vector. The normal vector is a
-  normalized vector (a vector with the length of one) that is
-  perpendicular to the surface of the object.
+  A scene is rarely lit by a single light. Adding more lights is a matter of
+  running the lighting calculation once for each light, and then adding all of
+  the results together. The light values are stored in arrays in the shader,
+  and the loop goes through each one.
 
-  The bunny model has these values pre-calculated, but they can be
-  calculated on the fly. There are typically two basic approaches.
-  The first is to calculate the vertex normals. At each vertex
-  the normal is calculated. The shader then smooths these out for
-  each fragment creating a nicely smoothed surface.
+  Lights come in different types, see /shared/lights.js:
 
-  The next way to do this is with face normals. These normals are
-  calculated once per triangle. The three vertices of the triangle
-  then share the same normal values. Each triangle is flat when
-  shaded and is not smoothed from its neighbors.
+   * Directional lights shine from very far away in a single direction, like
+     the sun. There is no position and the light doesn't dim with distance.
 
-  At this point the shader accomplishes some pseudo-lighting by
-  assigning the color to the normal itself. The only transformation
-  is that the normal's three dimensions are in the range of -1 to 1.
-  The shader will transform the normal to be in the range of 0 to 1
-  in order to work as a color.
+   * Point lights shine out from a position in every direction, like a light
+     bulb. The light gets dimmer, or attenuates, the further away it is.
+
+   * Spot lights are point lights that only shine in a cone, like a flashlight.
+     Inside of the inner cone angle the light is at full strength, and then it
+     smoothly fades out until the outer cone angle.
+
+  The type of each light is passed into the shader, which then picks the right
+  calculation for it.
+
+  Lights can be added and removed with the interface. The shader has room for
+  up to MAX_LIGHTS lights, and is told how many of them to use.
+
+  Exercise:
+
+    * Use the interface to change the spot light's cone angles.
+
+    * Add lights until you hit the limit, then raise MAX_LIGHTS in this file.
+      It gets sent to the shader as a #define.
+
+    * Move the spot light around over time so that it sweeps across the bunny.
 */
 
-function BunnyDemo () {
-  
-  // Prep the canvas
-  this.canvas = document.getElementById("canvas");
-  this.canvas.width = window.innerWidth;
-  this.canvas.height = window.innerHeight;
-  
-  // Grab a context
-  this.gl = MDN.createContext(this.canvas);
+// The most lights the shader can handle, this is #defined in the shader too
+var MAX_LIGHTS = 8;
 
-  this.webglProgram = this.setupProgram();
-  this.buffers = this.createBuffers();
-  this.locations = this.createLocations();
-  this.transforms = {}; // All of the matrix transforms get saved here
-  this.createLights();
-  
-  
-  this.color = [0.8, 1.0, 1.0, 1.0];
-  
-  //These matrices don't change and only need to be computed once
-  this.computeProjectionMatrix();
-  this.computeViewMatrix();
-  //the model matrix gets re-computed every draw call
-  
-  // Start the drawing loop
-  this.draw();
+function BunnyDemo () {
+  MDN.BunnyDemo.call(this);
 }
 
-BunnyDemo.prototype.createBuffers = function() {
-  
-  var gl = this.gl;
-  
-  // See /shared/bunny-model.js for the array buffers referenced by MDN.bunnyModel.positions and MDN.bunnyModel.elements
-  
-  var positionsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.positions, gl.STATIC_DRAW);
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
 
-  var normalsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, normalsBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, MDN.bunnyModel.vertexNormals, gl.STATIC_DRAW);
-  
-  var elementsBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, elementsBuffer);
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, MDN.bunnyModel.elements, gl.STATIC_DRAW);
-  
-  return {
-    positions: positionsBuffer,
-    elements: elementsBuffer,
-    normals: normalsBuffer
-  }
+BunnyDemo.prototype.createMaterial = function() {
   
+  // A pale bunny shows off the colors of the lights
+  return new MDN.Material({
+    color : { type: "color", value: [0.8, 1.0, 1.0, 1.0] }
+  });
 };
 
-BunnyDemo.prototype.setupProgram = function() {
-  
-  var gl = this.gl;
-    
-  // Setup a WebGL program
-  var webglProgram = MDN.createWebGLProgramFromIds(gl, "vertex-shader", "fragment-shader");
-  gl.useProgram(webglProgram);
-
-  // Tell WebGL to test the depth when drawing
-  gl.enable(gl.DEPTH_TEST);
+BunnyDemo.prototype.setup = function() {
   
-  return webglProgram;
+  this.createLights();
 };
 
-BunnyDemo.prototype.createLocations = function() {
-  
-  var gl = this.gl;
-  
-  var locations = {
-    
-    // Save the uniform locations
-    model          : gl.getUniformLocation(this.webglProgram, "model"),
-    view           : gl.getUniformLocation(this.webglProgram, "view"),
-    projection     : gl.getUniformLocation(this.webglProgram, "projection"),
-    normalMatrix   : gl.getUniformLocation(this.webglProgram, "normalMatrix"),
-    color          : gl.getUniformLocation(this.webglProgram, "color"),
-    
-    // Save the attribute location
-    position       : gl.getAttribLocation(this.webglProgram, "position"),
-    normal         : gl.getAttribLocation(this.webglProgram, "normal")
-  }
+BunnyDemo.prototype.getShaderDefines = function() {
   
-  return locations;
+  // The shader's arrays are sized by this, see /shared/glsl/lights.glsl
+  return { MAX_LIGHTS: MAX_LIGHTS };
 };
 
-BunnyDemo.prototype.computeViewMatrix = function() {
+BunnyDemo.prototype.createLights = function() {
   
-  // Move the camera so that the bunny is in view
-  var view = MDN.invertMatrix(
-    MDN.translateMatrix(0, 5, 10)
+  var spotLight = new MDN.SpotLight(
+    [-15, 15, 15],  //position
+    [15, -10, -15], //direction
+    [1,1,0.9],      //color
+    1,              //intensity
+    0,              //linearAttenuation
+    1/1000,         //quadraticAttenuation
+    Math.PI * 0.06, //innerConeAngle
+    Math.PI * 0.1   //outerConeAngle
   );
   
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.view = new Float32Array(view);
-}
-
-BunnyDemo.prototype.computeProjectionMatrix = function() {
-  
-  var fieldOfViewInRadians      = Math.PI * 0.5;
-  var aspectRatio               = window.innerWidth / window.innerHeight;
-  var nearClippingPlaneDistance = 1;
-  var farClippingPlaneDistance  = 200;
+  var fillLight = new MDN.PointLight(
+    [15, -5, 5],    //position
+    [0.6,0.8,1.0],  //color
+    1,              //intensity
+    0,              //linearAttenuation
+    1/1000          //quadraticAttenuation
+  );
   
-  var projection = MDN.perspectiveMatrix(
-    fieldOfViewInRadians,
-    aspectRatio,
-    nearClippingPlaneDistance,
-    farClippingPlaneDistance
+  var rimLight = new MDN.DirectionalLight(
+    [-5, -10, 5],   //direction
+    [1.0,1.0,1.0],  //color
+    0.8             //intensity
   );
   
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.projection = new Float32Array(projection);
+  this.lights = [spotLight, fillLight, rimLight];
   
+  // The light values are flattened into arrays for the shader, see /shared/lights.js
+  this.buffers.lights = MDN.createLightBuffers(MAX_LIGHTS);
+  
+  this.updateLightBuffers();
 };
 
-BunnyDemo.prototype.computeModelMatrix = function( now ) {
+BunnyDemo.prototype.updateLightBuffers = function() {
   
-  // Rotate according to time
-  var model = MDN.rotateYMatrix( now * 0.0005 )
+  MDN.updateLightBuffers(this.buffers.lights, this.lights);
+};
+
+BunnyDemo.prototype.addLight = function( light ) {
   
-  //Save as a typed array so that it can be sent to the GPU
-  this.transforms.model = new Float32Array( model );
+  // The buttons to add lights are disabled once they're full, see addDatGui()
+  if( this.lights.length >= MAX_LIGHTS ) {
+    return;
+  }
   
-  /*
-    Performance caveat: in real production code it's best to re-use
-    objects and arrays. It's best not to create new arrays and objects
-    in a loop. This example chooses code clarity over performance.
-  */
+  this.lights.push(light);
+  this.updateLightBuffers();
+  this.resetDatGui();
 };
 
-BunnyDemo.prototype.computeNormalMatrix = function() {
+BunnyDemo.prototype.removeLight = function( light ) {
   
-  //Combine the view and the model together
-  var modelView = MDN.multiplyMatrices(this.transforms.view, this.transforms.model);
+  var index = this.lights.indexOf(light);
   
-  // Run the function from the shared/matrices.js that takes
-  // the inverse and then transpose of the provided matrix
-  // and returns a 3x3 matrix.
-  this.transforms.normalMatrix = MDN.normalMatrix(modelView)
+  if( index >= 0 ) {
+    this.lights.splice(index, 1);
+    this.updateLightBuffers();
+    this.resetDatGui();
+  }
 };
 
-BunnyDemo.prototype.createLights = function() {
-	
-	var spotLight = new SpotLight(
-		[-15, 15, 15],  //position
-		[1,1,0.9],      //color
-		1,              //intensity
-		0,              //linearAttenuation
-		1/1000         //quadraticAttenuation
-	);
-	
-	var fillLight = new SpotLight(
-		[15, -5, 5],    //position
-		[0.6,0.8,1.0],  //color
-		1,              //intensity
-		0,              //linearAttenuation
-		1/1000         //quadraticAttenuation
-	);
-	
-	var rimLight = new SpotLight(
-		[5, 10, -5],  //position
-		[1.0,1.0,1.0],  //color
-		1,              //intensity
-		0,              //linearAttenuation
-		1/1000         //quadraticAttenuation
-	);
-	
-	this.lights = [spotLight, fillLight, rimLight];
-	
-	this.locations.lights = {
-		position             : this.gl.getUniformLocation(this.webglProgram, "lightPosition"),
-		color                : this.gl.getUniformLocation(this.webglProgram, "lightColor"),
-		intensity            : this.gl.getUniformLocation(this.webglProgram, "lightIntensity"),
-		linearAttenuation    : this.gl.getUniformLocation(this.webglProgram, "lightLinearAttenuation"),
-		quadraticAttenuation : this.gl.getUniformLocation(this.webglProgram, "lightQuadraticAttenuation")
-	};
-
-	this.buffers.lights = {
-		position             : new Float32Array(this.lights.length * 3),
-		color                : new Float32Array(this.lights.length * 3),
-		intensity            : new Float32Array(this.lights.length),
-		linearAttenuation    : new Float32Array(this.lights.length),
-		quadraticAttenuation : new Float32Array(this.lights.length)
-	};
-	
-	this.updateLightBuffers();
+BunnyDemo.prototype.createRandomLight = function( type ) {
+  
+  // Place the new light somewhere on a sphere around the bunny, pointing at it
+  var target = [0, 5, 0];
+  var yaw = Math.random() * Math.PI * 2;
+  var pitch = (Math.random() - 0.5) * Math.PI * 0.8;
+  var distance = 20;
+  
+  var position = [
+    target[0] + Math.sin(yaw) * Math.cos(pitch) * distance,
+    target[1] + Math.sin(pitch) * distance,
+    target[2] + Math.cos(yaw) * Math.cos(pitch) * distance
+  ];
+  var direction = MDN.subtract(target, position);
+  
+  // Pick a light pastel color
+  var color = [
+    0.5 + Math.random() * 0.5,
+    0.5 + Math.random() * 0.5,
+    0.5 + Math.random() * 0.5
+  ];
+  
+  switch( type ) {
+    case MDN.DIRECTIONAL_LIGHT:
+      return new MDN.DirectionalLight(direction, color, 0.5);
+    case MDN.SPOT_LIGHT:
+      return new MDN.SpotLight(position, direction, color, 1, 0, 1/1000, Math.PI * 0.06, Math.PI * 0.1);
+    default:
+      return new MDN.PointLight(position, color, 1, 0, 1/1000);
+  }
 };
 
-BunnyDemo.prototype.updateLightBuffers = function() {
-	
-	// Set some shortcuts to values
-	var gl = this.gl;
-	var buffers = this.buffers.lights;
-	var locations = this.locations.lights;
-	
-	// Flatten all of the lighting object data into the array buffers
-	for( var i=0; i < this.lights.length; i++ ) {
-		
-		var light = this.lights[i];
-		
-		buffers.position[i * 3]         = light.position[0];
-		buffers.position[i * 3 + 1]     = light.position[0 + 1];
-		buffers.position[i * 3 + 2]     = light.position[0 + 2];
-		buffers.color[i * 3]            = light.color[0];
-		buffers.color[i * 3 + 1]        = light.color[0 + 1];
-		buffers.color[i * 3 + 2]        = light.color[0 + 2];
-		buffers.intensity[i]            = light.intensity;
-		buffers.linearAttenuation[i]    = light.linearAttenuation;
-		buffers.quadraticAttenuation[i] = light.quadraticAttenuation;
-	}
-	
+BunnyDemo.prototype.computeNormalMatrix = function() {
+  
+  // The lights are positioned in world space, so only the model matrix
+  // is used to transform the normals.
+  MDN.normalMatrix(this.transforms.model, this.transforms.normalMatrix)
 };
 
-BunnyDemo.prototype.draw = function() {
-  
-  var gl = this.gl;
-  var now = Date.now();
+BunnyDemo.prototype.updateUniforms = function() {
   
-  // Compute our model matrix
-  this.computeModelMatrix( now );
-  this.computeNormalMatrix();
-  
-  // Update the data going to the GPU
-  this.updateAttributesAndUniforms();
-  
-  // Perform the actual draw
-  gl.drawElements(gl.TRIANGLES, MDN.bunnyModel.elements.length, gl.UNSIGNED_SHORT, 0);
-
-  // Run the draw as a loop
-  requestAnimationFrame( this.draw.bind(this) );
+  // The lights are sent as arrays, see /shared/lights.js
+  MDN.setLightUniforms(this.program, this.buffers.lights, this.lights.length);
 };
 
-BunnyDemo.prototype.updateAttributesAndUniforms = function() {
-
-  var gl = this.gl;
-  
-  // Set the uniforms
-  gl.uniformMatrix4fv(this.locations.projection, false, this.transforms.projection);
-  gl.uniformMatrix4fv(this.locations.view, false, this.transforms.view);
-  gl.uniformMatrix4fv(this.locations.model, false, this.transforms.model);
-  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.transforms.normalMatrix);
-  gl.uniform4fv(this.locations.color, this.color);
-  
-  // Update the uniform values
-  gl.uniform3fv(this.locations.lights.position,             this.buffers.lights.position);
-  gl.uniform3fv(this.locations.lights.color,                this.buffers.lights.color);
-  gl.uniform1fv(this.locations.lights.intensity,            this.buffers.lights.intensity);
-  gl.uniform1fv(this.locations.lights.linearAttenuation,    this.buffers.lights.linearAttenuation);
-  gl.uniform1fv(this.locations.lights.quadraticAttenuation, this.buffers.lights.quadraticAttenuation);
-  
-  // Set the positions attribute
-  gl.enableVertexAttribArray(this.locations.position);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.positions);
-  gl.vertexAttribPointer(this.locations.position, 3, gl.FLOAT, false, 0, 0);
+BunnyDemo.prototype.addDatGui = function() {
+  
+  // For the demo, add an interface to live-tweak the values
+  var gui = this.gui = new dat.GUI();
+  
+  var demo = this;
+  var updateLightBuffers = this.updateLightBuffers.bind(this);
+  var typeNames = ["directional", "point", "spot"];
+  
+  var actions = {
+    addPointLight       : function() { demo.addLight(demo.createRandomLight(MDN.POINT_LIGHT)); },
+    addSpotLight        : function() { demo.addLight(demo.createRandomLight(MDN.SPOT_LIGHT)); },
+    addDirectionalLight : function() { demo.addLight(demo.createRandomLight(MDN.DIRECTIONAL_LIGHT)); }
+  };
+  
+  var addControllers = [
+    gui.add(actions, "addPointLight"),
+    gui.add(actions, "addSpotLight"),
+    gui.add(actions, "addDirectionalLight")
+  ];
+  
+  // The shader only has room for MAX_LIGHTS, so stop adding any more. The
+  // interface is built again when a light is removed, which turns them back on.
+  if( this.lights.length >= MAX_LIGHTS ) {
+    addControllers.forEach(function( controller ) {
+      controller.__li.classList.add("disabled");
+    });
+  }
   
-  // Set the normals attribute
-  gl.enableVertexAttribArray(this.locations.normal);
-  gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.normals);
-  gl.vertexAttribPointer(this.locations.normal, 3, gl.FLOAT, false, 0, 0);
+  // Give each light its own folder
+  this.lights.forEach(function( light, i ) {
+    
+    var folder = gui.addFolder((i + 1) + ": " + typeNames[light.type] + " light");
+    
+    folder.add(light, "intensity").min(0).max(3).onChange(updateLightBuffers);
+    
+    if( light.type === MDN.SPOT_LIGHT ) {
+      folder.add(light, "innerConeAngle").min(0).max(Math.PI / 2).onChange(function() {
+        // Keep the inner cone inside of the outer cone
+        light.outerConeAngle = Math.max(light.outerConeAngle, light.innerConeAngle);
+        updateLightBuffers();
+      }).listen();
+      folder.add(light, "outerConeAngle").min(0).max(Math.PI / 2).onChange(function() {
+        light.innerConeAngle = Math.min(light.outerConeAngle, light.innerConeAngle);
+        updateLightBuffers();
+      }).listen();
+    }
+    
+    folder.add({ remove: function() { demo.removeLight(light); } }, "remove");
+  });
   
-  // Set the elements array, or the order the positions will be drawn
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.elements );
+  this.addShadingGui(gui);
+};
+
+BunnyDemo.prototype.resetDatGui = function() {
   
+  // The folders change with the lights, so build the interface again
+  this.gui.destroy();
+  this.addDatGui();
 };
 
-function SpotLight(position, color, intensity, linearAttenuation, quadraticAttenuation) {
-	
-	// A vector 3 representing the position of the light
-	this.position = position;
-	
-	// A vector 3 of the color, with values ranging from 0-1
-	this.color = color;
-	
-	// A single number around the value of 1 that adjusts the light intensity
-	this.intensity = intensity;
-	
-	// How much the light dims by the distance from the light
-	// Interactive graph of how this works: https://www.desmos.com/calculator/jdzi6pupp5
-	this.linearAttenuation = linearAttenuation;
-	this.quadraticAttenuation = quadraticAttenuation;
-}
+//Run the code once the shared shader files have loaded, see /shared/shader-loader.js
+var bunnyDemo;
 
-//Run the code
-var bunnyDemo = new BunnyDemo();
-bunnyDemo.draw();
\ No newline at end of file
+MDN.loadShaderScripts(function( error ) {
+  if( error ) {
+    throw error;
+  }
+  bunnyDemo = new BunnyDemo();
+});
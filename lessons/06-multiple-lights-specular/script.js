@@ -0,0 +1,145 @@
+/*
+  This lesson brings together the last two. Each light now adds both a
+  lambertian diffuse term and a Blinn Phong specular highlight. The light's
+  color tints both of them, so a blue light gives a blue highlight.
+
+  The diffuse and specular light from all of the lights are added up separately
+  in the shader. At the end the diffuse light is multiplied by the surface color,
+  and the specular light is multiplied by the specular color.
+
+  Finally there is the ambient light. Light in the real world bounces around off
+  of everything, so even the parts of an object facing away from every light are
+  a little bit lit. The ambient light is a cheap stand-in for this, by adding the
+  same small amount of light everywhere.
+
+  Exercise:
+
+    1) Turn the ambient light all the way up, what happens to the shape of the bunny?
+
+    2) Change the colors of the lights to see how they mix in the diffuse and
+       specular light.
+
+    3) Give each light its own specular amount.
+*/
+
+// The most lights the shader can handle, this is #defined in the shader too
+var MAX_LIGHTS = 8;
+
+function BunnyDemo () {
+  MDN.BunnyDemo.call(this);
+}
+
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
+
+BunnyDemo.prototype.createMaterial = function() {
+
+  // Each parameter is sent to the uniform with the same name, see /shared/material.js
+  return new MDN.Material({
+    color             : { type: "color", value: [0.1, 0.4, 0.7, 1.0], label: "diffuseColor" },
+    specularColor     : { type: "color", value: [1.0, 1.0, 1.0, 1.0] },
+    specularAmount    : { type: "float", value: 0.5, min: 0, max: 10 },
+    specularShininess : { type: "float", value: 50, min: 1, max: 100 }
+  });
+};
+
+BunnyDemo.prototype.setup = function() {
+
+  // The ambient light belongs to the scene rather than the bunny's material
+  this.ambientLight = 0.1;
+
+  this.createLights();
+};
+
+BunnyDemo.prototype.getShaderDefines = function() {
+
+  // The shader's arrays are sized by this, see /shared/glsl/lights.glsl
+  return { MAX_LIGHTS: MAX_LIGHTS };
+};
+
+BunnyDemo.prototype.createLights = function() {
+
+  var keyLight = new MDN.SpotLight(
+    [-15, 15, 15],  //position
+    [15, -10, -15], //direction
+    [1.0,0.9,0.8],  //color
+    1.2,            //intensity
+    0,              //linearAttenuation
+    1/1000,         //quadraticAttenuation
+    Math.PI * 0.08, //innerConeAngle
+    Math.PI * 0.15  //outerConeAngle
+  );
+
+  var fillLight = new MDN.PointLight(
+    [15, -5, 5],    //position
+    [0.4,0.6,1.0],  //color
+    0.8,            //intensity
+    0,              //linearAttenuation
+    1/1000          //quadraticAttenuation
+  );
+
+  var rimLight = new MDN.DirectionalLight(
+    [-5, -10, 5],   //direction
+    [1.0,1.0,1.0],  //color
+    0.6             //intensity
+  );
+
+  this.lights = [keyLight, fillLight, rimLight];
+
+  // The light values are flattened into arrays for the shader, see /shared/lights.js
+  this.buffers.lights = MDN.createLightBuffers(MAX_LIGHTS);
+
+  this.updateLightBuffers();
+};
+
+BunnyDemo.prototype.updateLightBuffers = function() {
+
+  MDN.updateLightBuffers(this.buffers.lights, this.lights);
+};
+
+BunnyDemo.prototype.computeNormalMatrix = function() {
+
+  // The lights are positioned in world space, so only the model matrix
+  // is used to transform the normals.
+  MDN.normalMatrix(this.transforms.model, this.transforms.normalMatrix)
+};
+
+BunnyDemo.prototype.updateUniforms = function() {
+
+  this.program.setUniform("cameraPosition", this.camera.position);
+  this.program.setUniform("ambientLight", this.ambientLight);
+
+  // The lights are sent as arrays, see /shared/lights.js
+  MDN.setLightUniforms(this.program, this.buffers.lights, this.lights.length);
+};
+
+BunnyDemo.prototype.addDatGui = function() {
+
+  // For the demo, add an interface to live-tweak the values
+  var gui = new dat.GUI();
+
+  this.material.addDatGui(gui);
+  gui.add(this, "ambientLight").min(0).max(1);
+
+  // Adjust how bright each light is
+  var lightNames = ["keyLight", "fillLight", "rimLight"];
+  var updateLightBuffers = this.updateLightBuffers.bind(this);
+  var lightsFolder = gui.addFolder("lights");
+
+  this.lights.forEach(function( light, i ) {
+    var controller = lightsFolder.add(light, "intensity").min(0).max(3).onChange(updateLightBuffers);
+    controller.name(lightNames[i]);
+  });
+
+  this.addShadingGui(gui);
+};
+
+//Run the code once the shared shader files have loaded, see /shared/shader-loader.js
+var bunnyDemo;
+
+MDN.loadShaderScripts(function( error ) {
+  if( error ) {
+    throw error;
+  }
+  bunnyDemo = new BunnyDemo();
+});
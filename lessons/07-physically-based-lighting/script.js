@@ -0,0 +1,155 @@
+/*
+  The Blinn Phong model looks good, but its values don't mean much in the
+  real world. What does a specularShininess of 50 look like? A physically based
+  lighting model instead starts from how light actually bounces off of a
+  surface, and describes the material with values that make sense to a person.
+
+  This lesson uses the Cook Torrance model with two material values:
+
+   * metallic  - 0 for non-metals like plastic or wood, and 1 for metals.
+                 Metals tint their reflections with their own color, and
+                 have no diffuse color at all.
+
+   * roughness - 0 for a smooth mirror-like surface, and 1 for a very
+                 rough surface.
+
+  The idea is that the surface is made up of countless tiny mirrors called
+  microfacets. On a smooth surface they all point the same way, and on a rough
+  surface they are scattered about. The specular light is found by multiplying
+  three terms together:
+
+    D - The distribution, how many microfacets line up with the halfway vector
+    G - The geometry, how many microfacets are hidden in shadow by other ones
+    F - The Fresnel effect, how much more light is reflected at glancing angles
+
+  Then it is divided by (4 * normalDotLight * normalDotCamera) to keep the
+  amount of reflected light correct. View the shader code to see each term.
+
+  A physically based model also conserves energy. The light that is reflected
+  as specular light isn't available for the diffuse light, and a rougher
+  surface has a dimmer but wider highlight.
+
+  Use the lightingModel switch in the interface to compare this with the Blinn
+  Phong model from the previous lessons.
+
+  Exercise:
+
+    1) Try to make gold, plastic, and rubber bunnies.
+
+    2) Switch to Blinn Phong and try to match a rough Cook Torrance bunny.
+
+    3) Add the lights from the multiple lights lesson, adding together the
+       Cook Torrance result for each light.
+*/
+
+function BunnyDemo () {
+  MDN.BunnyDemo.call(this);
+}
+
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
+
+// The lighting models in the shader, these match the shader's defines
+BunnyDemo.prototype.lightingModels = ["Cook Torrance", "Blinn Phong"];
+
+BunnyDemo.prototype.createMaterial = function() {
+
+  /*
+    The material has the values for both lighting models, so that they can be
+    compared on the same bunny. The color is used by both of them. Try logging
+    JSON.stringify(bunnyDemo.material) to save a material that you like.
+  */
+  return new MDN.Material({
+    color             : { type: "color", value: [0.1, 0.4, 0.7, 1.0], label: "baseColor" },
+
+    metallic          : { type: "float", value: 0.0, min: 0, max: 1 },
+    // A smoother surface makes a highlight too small for the shader's floats,
+    // see the alpha in cookTorrance()
+    roughness         : { type: "float", value: 0.4, min: 0.22, max: 1 },
+
+    specularColor     : { type: "color", value: [1.0, 1.0, 1.0, 1.0] },
+    specularAmount    : { type: "float", value: 0.5, min: 0, max: 10 },
+    specularShininess : { type: "float", value: 50, min: 1, max: 100 }
+  });
+};
+
+BunnyDemo.prototype.setup = function() {
+
+  this.lightingModel = "Cook Torrance";
+  this.ambientLight  = 0.05;
+
+  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
+
+  // The diffuse light is divided by PI to conserve energy, in both lighting
+  // models, so the light needs to be brighter to make up for it.
+  this.lightIntensity = 3.0;
+};
+
+BunnyDemo.prototype.computeNormalMatrix = function() {
+
+  // The lighting for this lesson is done in world space, so only the
+  // model matrix is used to transform the normals.
+  MDN.normalMatrix(this.transforms.model, this.transforms.normalMatrix)
+};
+
+BunnyDemo.prototype.updateUniforms = function() {
+
+  // The uniforms are set by name, see MDN.ShaderProgram in /shared/shaders.js
+  this.program.setUniform("lightingModel", this.lightingModels.indexOf(this.lightingModel));
+  this.program.setUniform("cameraPosition", this.camera.position);
+  this.program.setUniform("ambientLight", this.ambientLight);
+  this.program.setUniform("light", this.light);
+  this.program.setUniform("lightIntensity", this.lightIntensity);
+};
+
+BunnyDemo.prototype.addDatGui = function() {
+
+  // For the demo, add an interface to live-tweak the values
+
+  var light = {
+    lightDirectionX : this.light[0],
+    lightDirectionY : this.light[1],
+    lightDirectionZ : this.light[2]
+  };
+
+  var syncWithUniforms = function() {
+
+    if( light.lightDirectionX === 0 && light.lightDirectionY === 0 && light.lightDirectionZ === 0 ) {
+      light.lightDirectionY = -1;
+    }
+    this.light = MDN.normalize([
+      light.lightDirectionX,
+      light.lightDirectionY,
+      light.lightDirectionZ
+    ]);
+    light.lightDirectionX = this.light[0];
+    light.lightDirectionY = this.light[1];
+    light.lightDirectionZ = this.light[2];
+
+  }.bind(this);
+
+  var gui = new dat.GUI();
+
+  gui.add(this, "lightingModel", this.lightingModels);
+
+  gui.add(light, "lightDirectionX").min(-1).max(1).onChange(syncWithUniforms);
+  gui.add(light, "lightDirectionY").min(-1).max(1).onChange(syncWithUniforms);
+  gui.add(light, "lightDirectionZ").min(-1).max(1).onChange(syncWithUniforms);
+  gui.add(this, "lightIntensity").min(0).max(10);
+  gui.add(this, "ambientLight").min(0).max(1);
+
+  // Split the material's parameters up by the lighting model that uses them
+  this.material.addDatGui(gui, ["color"]);
+
+  var cookTorrance = gui.addFolder("cookTorrance");
+  this.material.addDatGui(cookTorrance, ["metallic", "roughness"]);
+  cookTorrance.open();
+
+  var blinnPhong = gui.addFolder("blinnPhong");
+  this.material.addDatGui(blinnPhong, ["specularColor", "specularAmount", "specularShininess"]);
+
+  this.addShadingGui(gui);
+};
+
+//Run the code
+var bunnyDemo = new BunnyDemo();
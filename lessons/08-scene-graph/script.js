@@ -0,0 +1,265 @@
+/*
+  Up until now every lesson has drawn a single bunny. A real scene has lots of
+  things in it, and many of them are attached to each other. A cup sits on a
+  table, and when the table is moved the cup should move with it.
+
+  A scene graph keeps track of this. It's a tree of nodes, where each node has a
+  local transform that places it relative to its parent. To find where a node is
+  in the world, multiply the transforms of all of its parents together with its
+  own, from the top of the tree down:
+
+    world = turntable.local * bottomCube.local * topCube.local
+
+  In this scene the bunny and the cubes are all on a turntable node. The turntable
+  doesn't draw anything, but spinning it spins everything on it. Each stack of
+  cubes has a small cube as the child of a bigger cube. The small cube spins on
+  its own, while still being carried around by the turntable. It's also scaled
+  by its parent, so it only needs to be moved 1.5 units up in its parent's space
+  to sit on top of it.
+
+  Each node also has its own mesh and material. They are all drawn with the same
+  program, changing the model matrix, normal matrix and material uniforms
+  between each one. See /shared/scene-graph.js for the scene graph itself.
+
+  Exercise:
+
+    1) Add a third cube to the top of one of the stacks.
+
+    2) Make one of the cubes orbit around the bunny's head.
+
+    3) Move a stack of cubes off of the turntable by adding it to the scene node
+       instead. What happens?
+*/
+
+function BunnyDemo () {
+  MDN.BunnyDemo.call(this);
+}
+
+BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+BunnyDemo.prototype.constructor = BunnyDemo;
+
+BunnyDemo.prototype.setup = function() {
+
+  this.light = MDN.normalize([-0.5, 1.0, 1.0]);
+
+  this.createScene();
+
+  // The shadow map covers the turntable and everything on it
+  this.shadowMap = new MDN.ShadowMap(this.gl, 2048);
+  this.shadowBounds = { center: [0, 3, 0], radius: 16 };
+};
+
+BunnyDemo.prototype.createScene = function() {
+
+  var gl = this.gl;
+
+  // All of the cubes can share the same buffers
+  var cubeMesh = MDN.createMeshBuffers(gl, MDN.createCubeModel());
+
+  // Only the color is different, so each cube's material is made from its color
+  var cubeColors = [
+    [1.0, 0.4, 0.3, 1.0],
+    [0.3, 0.8, 0.4, 1.0],
+    [1.0, 0.8, 0.3, 1.0]
+  ];
+
+  function colorMaterial( color ) {
+    return new MDN.Material({
+      color : { type: "color", value: color }
+    });
+  }
+
+  this.scene = new MDN.SceneNode({ name: "scene" });
+
+  this.scene.add(new MDN.SceneNode({
+    name     : "floor",
+    mesh     : MDN.createMeshBuffers(gl, MDN.createPlaneData(40)),
+    material : colorMaterial([0.8, 0.8, 0.8, 1.0])
+  }));
+
+  // Spinning the turntable spins everything that is added to it
+  this.turntable = this.scene.add(new MDN.SceneNode({ name: "turntable" }));
+
+  this.bunny = this.turntable.add(new MDN.SceneNode({
+    name     : "bunny",
+    mesh     : this.buffers.mesh,
+    material : this.material
+  }));
+
+  this.topCubes = [];
+
+  for( var i=0; i < 3; i++ ) {
+
+    var angle = (i / 3 + 1 / 6) * Math.PI * 2;
+
+    // The cube goes from -1 to 1, so move it up by its size to sit on the floor
+    var bottomCube = this.turntable.add(new MDN.SceneNode({
+      name     : "bottomCube" + i,
+      mesh     : cubeMesh,
+      material : colorMaterial(cubeColors[i]),
+      local    : MDN.multiplyArrayOfMatrices([
+        MDN.translateMatrix(Math.sin(angle) * 10, 1.5, Math.cos(angle) * 10),
+        MDN.scaleMatrix(1.5, 1.5, 1.5)
+      ])
+    }));
+
+    // The top cube's local transform is set every frame in computeModelMatrix()
+    this.topCubes.push(bottomCube.add(new MDN.SceneNode({
+      name     : "topCube" + i,
+      mesh     : cubeMesh,
+      material : colorMaterial(cubeColors[(i + 1) % 3])
+    })));
+  }
+
+  // These are re-used every frame to place the top cubes
+  this.topCubeTransforms = {
+    offset : MDN.translateMatrix(0, 1.5, 0, new Float32Array(16)),
+    spin   : new Float32Array(16),
+    scale  : MDN.scaleMatrix(0.5, 0.5, 0.5, new Float32Array(16))
+  };
+
+  // Keep a list of the nodes that have something to draw
+  var drawList = this.drawList = [];
+
+  this.scene.traverse(function( node ) {
+    if( node.mesh ) {
+      drawList.push(node);
+    }
+  });
+};
+
+BunnyDemo.prototype.replaceModelBuffers = function() {
+
+  // Loading a model or changing the shading creates new buffers for the bunny
+  MDN.BunnyDemo.prototype.replaceModelBuffers.call(this);
+  this.bunny.mesh = this.buffers.mesh;
+};
+
+BunnyDemo.prototype.reloadPrograms = function() {
+
+  // The shadow map has its own program to rebuild too
+  MDN.BunnyDemo.prototype.reloadPrograms.call(this);
+  this.shadowMap.replaceProgram();
+};
+
+BunnyDemo.prototype.getShaderIds = function() {
+
+  // Add the shadow lookup to the fragment shader
+  var ids = MDN.BunnyDemo.prototype.getShaderIds.call(this);
+  ids.fragment = [].concat(ids.fragment, "shadows");
+  return ids;
+};
+
+BunnyDemo.prototype.computeModelMatrix = function( now ) {
+
+  var transforms = this.topCubeTransforms;
+
+  // Spin the whole turntable
+  MDN.rotateYMatrix(now * 0.0002, this.turntable.local);
+
+  // Spin each top cube on its own, on top of its parent
+  MDN.rotateYMatrix(now * 0.002, transforms.spin);
+
+  for( var i=0; i < this.topCubes.length; i++ ) {
+    MDN.multiplyArrayOfMatrices(
+      [transforms.offset, transforms.spin, transforms.scale],
+      this.topCubes[i].local
+    );
+  }
+
+  // Now that the local transforms are set, find where everything is in the world
+  this.scene.updateWorld();
+};
+
+BunnyDemo.prototype.computeNormalMatrix = function() {
+
+  // The lighting is done in world space, so each node's normal
+  // matrix comes from its world transform.
+  for( var i=0; i < this.drawList.length; i++ ) {
+    this.drawList[i].updateNormalMatrix();
+  }
+};
+
+BunnyDemo.prototype.updateUniforms = function() {
+
+  this.program.setUniform("light", this.light);
+};
+
+BunnyDemo.prototype.drawScene = function() {
+
+  var i;
+
+  // First draw the depth of every node from the light into the shadow map
+  this.shadowMap.update(this.light, this.shadowBounds);
+  this.shadowMap.begin();
+  for( i=0; i < this.drawList.length; i++ ) {
+    this.shadowMap.drawMesh(this.drawList[i].mesh, this.drawList[i].world);
+  }
+  this.shadowMap.end();
+
+  // Then draw every node like normal
+  this.program.use();
+  this.shadowMap.setUniforms(this.program, 0);
+  this.updateAttributesAndUniforms();
+
+  for( i=0; i < this.drawList.length; i++ ) {
+    this.drawNode(this.drawList[i]);
+  }
+};
+
+BunnyDemo.prototype.drawNode = function( node ) {
+
+  var gl = this.gl;
+
+  // Each node has its own transform and material
+  gl.uniformMatrix4fv(this.locations.model, false, node.world);
+  gl.uniformMatrix3fv(this.locations.normalMatrix, false, node.normalMatrix);
+  node.material.setUniforms(this.program);
+
+  MDN.drawMesh(gl, node.mesh, this.locations);
+};
+
+BunnyDemo.prototype.addDatGui = function() {
+
+  // For the demo, add an interface to live-tweak the values
+
+  var light = {
+    lightDirectionX : this.light[0],
+    lightDirectionY : this.light[1],
+    lightDirectionZ : this.light[2]
+  };
+
+  var syncWithUniforms = function() {
+    if( light.lightDirectionX === 0 && light.lightDirectionY === 0 && light.lightDirectionZ === 0 ) {
+      light.lightDirectionY = -1;
+    }
+    this.light = MDN.normalize([
+      light.lightDirectionX,
+      light.lightDirectionY,
+      light.lightDirectionZ
+    ]);
+    light.lightDirectionX = this.light[0];
+    light.lightDirectionY = this.light[1];
+    light.lightDirectionZ = this.light[2];
+
+  }.bind(this);
+
+  var gui = new dat.GUI();
+
+  gui.add(light, "lightDirectionX").min(-1).max(1).onChange(syncWithUniforms);
+  gui.add(light, "lightDirectionY").min(-1).max(1).onChange(syncWithUniforms);
+  gui.add(light, "lightDirectionZ").min(-1).max(1).onChange(syncWithUniforms);
+
+  this.shadowMap.addDatGui(gui);
+  this.addShadingGui(gui);
+};
+
+//Run the code once the shared shader files have loaded, see /shared/shader-loader.js
+var bunnyDemo;
+
+MDN.loadShaderScripts(function( error ) {
+  if( error ) {
+    throw error;
+  }
+  bunnyDemo = new BunnyDemo();
+});
@@ -0,0 +1,577 @@
+/**
+ * A shared renderer for the lessons. It takes care of the canvas, the WebGL
+ * context, the model buffers, the matrices, the orbit camera and the draw loop. Each lesson
+ * extends it and only overrides the hooks that are specific to its lighting
+ * model:
+ *
+ *   createMaterial() - Declare what the model's surface is made of
+ *   setup()          - Set the lesson's values, like lights
+ *   getShaderDefines() - Values to #define in the shaders, like MAX_LIGHTS
+ *   createLocations  - Call the original, then add any extra locations
+ *   updateUniforms() - Send the lesson's extra uniforms, see this.program.setUniform()
+ *   drawScene()      - Draw everything once the matrices are computed
+ *   addDatGui()      - Add an interface to live-tweak the values
+ *
+ * Lessons that keep their lighting code in a "lighting" script can also light
+ * the model per vertex (Gouraud shading) instead of per fragment. The lighting
+ * script defines vec4 computeLighting(vec3 normal, vec3 position), and gets
+ * added after either the "fragment-shader" or the "gouraud-vertex-shader".
+ *
+ * A lesson extends it like so:
+ *
+ *   function BunnyDemo () {
+ *     MDN.BunnyDemo.call(this);
+ *   }
+ *
+ *   BunnyDemo.prototype = Object.create(MDN.BunnyDemo.prototype);
+ *   BunnyDemo.prototype.constructor = BunnyDemo;
+ **/
+
+var MDN = MDN || {};
+
+MDN.BunnyDemo = function () {
+
+  // Prep the canvas
+  this.canvas = document.getElementById("canvas");
+
+  // Grab a context
+  this.gl = MDN.createContext(this.canvas);
+
+  // The bunny is drawn until another model is loaded. The mesh is the version
+  // of the model that actually gets drawn, either smooth or flat shaded.
+  this.model = MDN.bunnyModel;
+  this.flatShading = false;
+  this.updateMesh();
+
+  // Light each fragment, or only each vertex and blend the colors in between
+  this.perVertexLighting = false;
+
+  // The material's parameters are sent to the uniforms with the same names
+  this.material = this.createMaterial();
+
+  // Keep the shaders as the page loaded them, before anything edits or reloads
+  // them, so that the shader editor can reset to them
+  this.originalShaderSources = MDN.getShaderScriptSources();
+
+  this.program = this.setupProgram();
+  this.buffers = this.createBuffers();
+  this.locations = this.createLocations();
+
+  // All of the matrix transforms get saved here. They are created once as typed
+  // arrays so that they can be sent to the GPU, and then re-used every frame.
+  this.transforms = {
+    model        : new Float32Array(16),
+    view         : new Float32Array(16),
+    projection   : new Float32Array(16),
+    modelView    : new Float32Array(16),
+    normalMatrix : new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1])
+  };
+
+  // Drag to orbit around the bunny, scroll or pinch to zoom
+  this.camera = new MDN.OrbitCamera(this.canvas, {
+    target   : [0, 5, 0],
+    distance : 10
+  });
+
+  // Let the lesson set up its own values
+  this.setup();
+
+  // Size the canvas, this also computes the projection matrix
+  this.resize();
+  this.observeResize();
+
+  //The view and model matrices get re-computed every draw call
+
+  this.addDatGui();
+  this.watchForModels();
+  this.watchForShaderChanges();
+
+  // Bind the draw function once, rather than creating a new function every frame
+  this.draw = this.draw.bind(this);
+
+  // Start the drawing loop
+  this.draw();
+}
+
+MDN.BunnyDemo.prototype.setup = function() {};
+
+MDN.BunnyDemo.prototype.createMaterial = function() {
+
+  // Lessons with more to their surface than a color declare their own
+  // parameters, see /shared/material.js
+  return new MDN.Material({
+    color : { type: "color", value: [0.0, 0.4, 0.7, 1.0] }
+  });
+};
+
+MDN.BunnyDemo.prototype.createBuffers = function() {
+
+  var gl = this.gl;
+
+  // See /shared/bunny-model.js for the array buffers referenced by MDN.bunnyModel.positions and MDN.bunnyModel.elements
+  // The positions, normals and elements buffers are created in /shared/mesh.js
+
+  return {
+    mesh: MDN.createMeshBuffers(gl, this.mesh)
+  }
+
+};
+
+MDN.BunnyDemo.prototype.setupProgram = function() {
+
+  var gl = this.gl;
+
+  // Setup a WebGL program
+  var ids = this.getShaderIds();
+  var program = MDN.createWebGLProgramFromIds(gl, ids.vertex, ids.fragment, this.getShaderDefines());
+  program.use();
+
+  // Tell WebGL to test the depth when drawing
+  gl.enable(gl.DEPTH_TEST);
+
+  return program;
+};
+
+MDN.BunnyDemo.prototype.canLightPerVertex = function() {
+
+  return Boolean(document.getElementById("lighting"));
+};
+
+MDN.BunnyDemo.prototype.getShaderIds = function() {
+
+  // Pick the scripts in the page to build the program from, see /shared/shaders.js
+
+  if( !this.canLightPerVertex() ) {
+    return { vertex: "vertex-shader", fragment: "fragment-shader" };
+  }
+  if( this.perVertexLighting ) {
+    return { vertex: ["gouraud-vertex-shader", "lighting"], fragment: "gouraud-fragment-shader" };
+  }
+  return { vertex: "vertex-shader", fragment: ["fragment-shader", "lighting"] };
+};
+
+MDN.BunnyDemo.prototype.getShaderDefines = function() {
+
+  // Values to #define at the top of the shaders, see MDN.injectDefines()
+  return {};
+};
+
+MDN.BunnyDemo.prototype.replaceProgram = function() {
+
+  // Build the new program first, so that the old one keeps working if it fails
+  var program = this.setupProgram();
+
+  this.program.destroy();
+  this.program = program;
+
+  // The locations belong to the program, so they need to be found again
+  this.locations = this.createLocations();
+};
+
+MDN.BunnyDemo.prototype.reloadPrograms = function() {
+
+  // Rebuild every program from the shader scripts. Lessons with more than one
+  // program, like the shadow map's, rebuild theirs here too.
+  this.replaceProgram();
+};
+
+MDN.BunnyDemo.prototype.setShaderSources = function( sources ) {
+
+  /*
+    Swap in new source for the shader scripts, by their ids, and rebuild the
+    programs while the lesson keeps running. All of the values from the
+    interface stay the same. If the new source doesn't compile, the scripts
+    go back to what they were and the error is thrown.
+
+      bunnyDemo.setShaderSources({ "fragment-shader": editedSource });
+  */
+
+  var previous = {};
+  var id;
+
+  for( id in sources ) {
+    var script = document.getElementById(id);
+    if( !script ) {
+      throw new Error("Could not find the shader script with the id \"" + id + "\"");
+    }
+    previous[id] = script.text;
+    script.text = sources[id];
+  }
+
+  try {
+    this.reloadPrograms();
+  } catch( error ) {
+    for( id in previous ) {
+      document.getElementById(id).text = previous[id];
+    }
+    throw error;
+  }
+};
+
+MDN.BunnyDemo.prototype.createLocations = function() {
+
+  var program = this.program;
+
+  // Lessons that don't use all of these will get back a null uniform location,
+  // or -1 for an attribute. WebGL ignores the null uniforms, and the attributes
+  // get checked before they are used. A lesson's own uniforms don't need a
+  // location, they can be set by name with this.program.setUniform().
+
+  var locations = {
+
+    // Save the uniform locations
+    model        : program.getUniformLocation("model"),
+    view         : program.getUniformLocation("view"),
+    projection   : program.getUniformLocation("projection"),
+    normalMatrix : program.getUniformLocation("normalMatrix"),
+
+    // Save the attribute location
+    position     : program.getAttribLocation("position"),
+    normal       : program.getAttribLocation("normal")
+  }
+
+  return locations;
+};
+
+MDN.BunnyDemo.prototype.resize = function() {
+
+  /*
+    The canvas is stretched to fill the page by the CSS, but the number of
+    pixels it actually draws (the backing size) is set by canvas.width and
+    canvas.height. On high density displays there are multiple device pixels
+    to every CSS pixel, so take the devicePixelRatio into account to keep the
+    bunny sharp.
+  */
+  var pixelRatio = window.devicePixelRatio || 1;
+  var width = Math.floor((this.canvas.clientWidth || window.innerWidth) * pixelRatio);
+  var height = Math.floor((this.canvas.clientHeight || window.innerHeight) * pixelRatio);
+
+  if( this.canvas.width !== width || this.canvas.height !== height ) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  // Tell WebGL how to map clip space to the new size of the canvas
+  this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+  // The aspect ratio changed, so the projection must be re-computed
+  this.computeProjectionMatrix();
+};
+
+MDN.BunnyDemo.prototype.observeResize = function() {
+
+  var resize = this.resize.bind(this);
+
+  // Prefer watching the canvas itself, otherwise fall back to the window
+  if( window.ResizeObserver ) {
+    this.resizeObserver = new ResizeObserver(resize);
+    this.resizeObserver.observe(this.canvas);
+  } else {
+    window.addEventListener("resize", resize, false);
+  }
+};
+
+MDN.BunnyDemo.prototype.computeViewMatrix = function() {
+
+  // The orbit camera keeps its view matrix up to date with the mouse and touch
+  // input, see /shared/orbit-camera.js
+  this.transforms.view.set(this.camera.view);
+}
+
+MDN.BunnyDemo.prototype.computeProjectionMatrix = function() {
+
+  var fieldOfViewInRadians      = Math.PI * 0.5;
+  var aspectRatio               = this.canvas.width / this.canvas.height;
+  var nearClippingPlaneDistance = 1;
+  var farClippingPlaneDistance  = 200;
+
+  MDN.perspectiveMatrix(
+    fieldOfViewInRadians,
+    aspectRatio,
+    nearClippingPlaneDistance,
+    farClippingPlaneDistance,
+    this.transforms.projection
+  );
+
+};
+
+MDN.BunnyDemo.prototype.computeModelMatrix = function( now ) {
+
+  // Rotate according to time, writing into the existing typed array
+  MDN.rotateYMatrix( now * 0.0005, this.transforms.model );
+
+  /*
+    Performance caveat: in real production code it's best to re-use
+    objects and arrays. It's best not to create new arrays and objects
+    in a loop. The matrix functions take an optional last argument
+    to write the result into, so nothing new is created here.
+  */
+};
+
+MDN.BunnyDemo.prototype.computeNormalMatrix = function() {
+
+  //Combine the view and the model together
+  var modelView = MDN.multiplyMatrices(
+    this.transforms.view, this.transforms.model, this.transforms.modelView
+  );
+
+  // Run the function from the shared/matrices.js that takes
+  // the inverse and then transpose of the provided matrix
+  // and returns a 3x3 matrix.
+  MDN.normalMatrix(modelView, this.transforms.normalMatrix)
+};
+
+MDN.BunnyDemo.prototype.computeNormalMatrixSafely = function() {
+
+  /*
+    A model matrix that is scaled down to nothing can't be inverted. Rather
+    than stopping the draw loop, keep the last normal matrix that worked. See
+    MDN.matrixSettings in /shared/matrices.js to change this behavior.
+  */
+  try {
+    this.computeNormalMatrix();
+  } catch( error ) {
+    if( !(error instanceof MDN.NonInvertibleMatrixError) ) {
+      throw error;
+    }
+    if( !this.warnedNonInvertible ) {
+      console.warn("The normal matrix couldn't be computed, using the previous one.", error);
+      this.warnedNonInvertible = true;
+    }
+  }
+};
+
+MDN.BunnyDemo.prototype.draw = function() {
+
+  var gl = this.gl;
+  var now = Date.now();
+
+  // Compute our view and model matrices
+  this.computeViewMatrix();
+  this.computeModelMatrix( now );
+  this.computeNormalMatrixSafely();
+
+  this.drawScene();
+
+  // Run the draw as a loop
+  requestAnimationFrame( this.draw );
+};
+
+MDN.BunnyDemo.prototype.drawScene = function() {
+
+  // Update the data going to the GPU
+  this.updateAttributesAndUniforms();
+
+  // Perform the actual draw, large meshes may be drawn in more than one batch
+  MDN.drawMesh(this.gl, this.buffers.mesh, this.locations);
+};
+
+MDN.BunnyDemo.prototype.updateAttributesAndUniforms = function() {
+
+  var gl = this.gl;
+
+  // Set the uniforms
+  gl.uniformMatrix4fv(this.locations.projection, false, this.transforms.projection);
+  gl.uniformMatrix4fv(this.locations.view, false, this.transforms.view);
+  gl.uniformMatrix4fv(this.locations.model, false, this.transforms.model);
+  gl.uniformMatrix3fv(this.locations.normalMatrix, false, this.transforms.normalMatrix);
+  this.material.setUniforms(this.program);
+
+  // Set the lesson's own uniforms
+  this.updateUniforms();
+
+  // The position and normal attributes and the elements are set for each
+  // batch of the mesh by MDN.drawMesh()
+
+};
+
+MDN.BunnyDemo.prototype.updateUniforms = function() {};
+
+MDN.BunnyDemo.prototype.updateMesh = function() {
+
+  /*
+    Smooth shading uses the vertex normals of the model. Flat shading gives
+    every triangle its own copy of its vertices, all with the triangle's face
+    normal, see MDN.createFlatModel() in /shared/normals.js
+  */
+  this.mesh = this.flatShading ? MDN.createFlatModel(this.model) : this.model;
+};
+
+MDN.BunnyDemo.prototype.setModel = function( model ) {
+
+  // Fit the model into the same space as the bunny so that the camera
+  // and the lights still work for it, see /shared/model-loader.js
+  this.model = MDN.fitModelToBounds(model, MDN.computeBounds(MDN.bunnyModel.positions));
+  this.replaceModelBuffers();
+};
+
+MDN.BunnyDemo.prototype.setFlatShading = function( flatShading ) {
+
+  this.flatShading = flatShading;
+  this.replaceModelBuffers();
+};
+
+MDN.BunnyDemo.prototype.replaceModelBuffers = function() {
+
+  // Throw away the old mesh's buffers
+  MDN.deleteMeshBuffers(this.gl, this.buffers.mesh);
+
+  this.updateMesh();
+
+  // Only replace the mesh buffers, lessons can keep their own in here too
+  this.buffers.mesh = this.createBuffers().mesh;
+};
+
+MDN.BunnyDemo.prototype.setPerVertexLighting = function( perVertexLighting ) {
+
+  var previous = this.perVertexLighting;
+  this.perVertexLighting = perVertexLighting;
+
+  // Keep the setting in line with the program that is actually in use
+  try {
+    this.replaceProgram();
+  } catch( error ) {
+    this.perVertexLighting = previous;
+    throw error;
+  }
+};
+
+MDN.BunnyDemo.prototype.addShadingGui = function( gui ) {
+
+  // Switch between the face normals and the smooth vertex normals
+  gui.add(this, "flatShading").onChange(this.setFlatShading.bind(this));
+
+  // Switch between lighting each vertex and lighting each fragment
+  if( this.canLightPerVertex() ) {
+    var demo = this;
+    var perVertexController = gui.add(this, "perVertexLighting").onChange(function(perVertexLighting) {
+      try {
+        demo.setPerVertexLighting(perVertexLighting);
+        MDN.hideErrorOverlay();
+      } catch( error ) {
+        // The setting went back to the program still in use, so put the checkbox back too
+        MDN.showErrorOverlay(error.message);
+        perVertexController.updateDisplay();
+      }
+    });
+  }
+
+  // Open a panel to edit the shaders in the page
+  gui.add(this, "toggleShaderEditor").name("editShaders");
+};
+
+MDN.BunnyDemo.prototype.toggleShaderEditor = function() {
+
+  // The editor is only created the first time it's opened, see /shared/shader-editor.js
+  if( !this.shaderEditor ) {
+    this.shaderEditor = new MDN.ShaderEditor(this, this.originalShaderSources);
+    return;
+  }
+  this.shaderEditor.toggle();
+};
+
+MDN.BunnyDemo.prototype.watchForModels = function() {
+
+  /*
+    Light your own model instead of the bunny. Either drop a .obj or .ply
+    file onto the page, or point to one in the URL:
+
+      index.html?model=path/to/model.obj
+  */
+
+  var demo = this;
+
+  function onModel(error, model) {
+    if( error ) {
+      console.error(error);
+      return;
+    }
+    demo.setModel(model);
+  }
+
+  var match = /[?&]model=([^&]+)/.exec(window.location.search);
+  if( match ) {
+    MDN.loadModel(decodeURIComponent(match[1]), onModel);
+  }
+
+  this.canvas.addEventListener("dragover", function(event) {
+    event.preventDefault();
+  }, false);
+
+  this.canvas.addEventListener("drop", function(event) {
+    event.preventDefault();
+
+    var file = event.dataTransfer.files[0];
+    if( !file ) {
+      return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+      var model;
+      try {
+        model = MDN.parseModel(reader.result, file.name);
+      } catch( error ) {
+        onModel(error);
+        return;
+      }
+      onModel(null, model);
+    };
+    reader.readAsArrayBuffer(file);
+  }, false);
+};
+
+MDN.BunnyDemo.prototype.watchForShaderChanges = function() {
+
+  /*
+    Edit the shaders without losing your place. Serve the files with a local
+    webserver and open the lesson with:
+
+      index.html?watchShaders
+
+    Every second the shaders are loaded again from index.html and the .glsl
+    files. When they change the programs are rebuilt in place, see
+    setShaderSources(). If they don't compile, the error is shown and the
+    last working programs keep drawing.
+  */
+
+  if( !/[?&]watchShaders(&|=|$)/.test(window.location.search) ) {
+    return;
+  }
+
+  var demo = this;
+  var lastSources = MDN.getShaderScriptSources();
+
+  function haveChanged(sources) {
+    // Compare script by script, as the sources come back in whatever order
+    // the files finish loading
+    var ids = Object.keys(sources);
+    return ids.length !== Object.keys(lastSources).length || ids.some(function(id) {
+      return sources[id] !== lastSources[id];
+    });
+  }
+
+  function check() {
+    MDN.loadShaderSources(function(error, sources) {
+
+      if( error ) {
+        console.warn(error);
+      } else if( haveChanged(sources) ) {
+        lastSources = sources;
+        try {
+          demo.setShaderSources(sources);
+          MDN.hideErrorOverlay();
+        } catch( error ) {
+          MDN.showErrorOverlay(error.message);
+        }
+      }
+
+      // Wait for each check to finish before starting the next one
+      setTimeout(check, 1000);
+    });
+  }
+
+  check();
+};
+
+MDN.BunnyDemo.prototype.addDatGui = function() {};
@@ -49,13 +49,25 @@ MDN.createCubeData = function() {
     [1.0,  0.3,  1.0,  1.0]     // Left face: purple
   ];
   
+  // Each face points straight out along one axis
+  var normalsOfFaces = [
+    [ 0.0,  0.0,  1.0],    // Front face
+    [ 0.0,  0.0, -1.0],    // Back face
+    [ 0.0,  1.0,  0.0],    // Top face
+    [ 0.0, -1.0,  0.0],    // Bottom face
+    [ 1.0,  0.0,  0.0],    // Right face
+    [-1.0,  0.0,  0.0]     // Left face
+  ];
+  
   var colors = [];
+  var normals = [];
 
   for (var j=0; j<6; j++) {
     var polygonColor = colorsOfFaces[j];
     
     for (var i=0; i<4; i++) {
       colors = colors.concat( polygonColor );
+      normals = normals.concat( normalsOfFaces[j] );
     }
   }
   
@@ -71,7 +83,8 @@ MDN.createCubeData = function() {
   return {
     positions: positions,
     elements: elements,
-    colors: colors
+    colors: colors,
+    normals: normals
   }
 }
 
@@ -92,12 +105,32 @@ MDN.createBuffersForCube = function( gl, cube ) {
   return {
     positions: positions,
     colors: colors,
-    elements: elements
+    elements: elements,
+    count: cube.elements.length
   }
 }
 
-MDN.drawCube = function( elementsBuffer ) {
+MDN.drawCube = function( gl, buffers ) {
+  
+  // Draw the buffers created by MDN.createBuffersForCube()
   
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, elementsBuffer);
-  gl.drawElements(gl.TRIANGLES, 36, gl.UNSIGNED_SHORT, 0);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.elements);
+  gl.drawElements(gl.TRIANGLES, buffers.count, gl.UNSIGNED_SHORT, 0);
+}
+
+MDN.createCubeModel = function() {
+  
+  /*
+    The cube data in the same shape as MDN.bunnyModel, with normals for
+    lighting, so it can be drawn with MDN.createMeshBuffers() and MDN.drawMesh().
+    Each face has its own 4 vertices, so every vertex gets the normal of its face.
+  */
+  
+  var cube = MDN.createCubeData();
+  
+  return {
+    positions     : new Float32Array(cube.positions),
+    elements      : new Uint16Array(cube.elements),
+    vertexNormals : new Float32Array(cube.normals)
+  };
 }
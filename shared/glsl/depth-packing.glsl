@@ -0,0 +1,16 @@
+/*
+  The shadow map stores depths in a color texture, see /shared/shadow-map.js.
+  A color only has 8 bits for each of its red, green, blue and alpha
+  channels, which isn't very precise. Split the depth up so that each
+  channel stores the next 8 bits of it.
+*/
+vec4 packDepth(float depth) {
+  vec4 packed = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+  packed -= packed.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+  return packed;
+}
+
+// Put the 4 channels of the shadow map back together into the depth
+float unpackDepth(vec4 packed) {
+  return dot(packed, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+}
@@ -0,0 +1,102 @@
+/*
+  The uniforms for the lights from /shared/lights.js, and the math for how
+  much of each light reaches the surface.
+
+  GLSL loops need a constant number of steps, so the arrays are made big
+  enough for the most lights that can be used. MAX_LIGHTS is defined by the
+  lesson's script.js, and the lightCount uniform says how many of the lights
+  are actually turned on.
+*/
+uniform int lightCount;
+
+// The types of lights, these match the values in /shared/lights.js
+#define DIRECTIONAL_LIGHT 0
+#define POINT_LIGHT 1
+#define SPOT_LIGHT 2
+
+// The uniform light values as arrays
+uniform int lightType[MAX_LIGHTS];
+uniform vec3 lightPosition[MAX_LIGHTS];
+uniform vec3 lightDirection[MAX_LIGHTS];
+uniform vec3 lightColor[MAX_LIGHTS];
+uniform float lightIntensity[MAX_LIGHTS];
+uniform float lightLinearAttenuation[MAX_LIGHTS];
+uniform float lightQuadraticAttenuation[MAX_LIGHTS];
+
+// The cosine of the spot light cone angles
+uniform float lightInnerCone[MAX_LIGHTS];
+uniform float lightOuterCone[MAX_LIGHTS];
+
+/*
+  How much a point or spot light dims by the distance from it, using the
+  following formula: https://www.desmos.com/calculator/jdzi6pupp5
+
+  There are many other strategies for handling light falloff.
+*/
+float lightAttenuation(float distanceFromLight, float linearAttenuation, float quadraticAttenuation) {
+  return 1.0 / (
+    1.0 +
+    linearAttenuation * distanceFromLight +
+    quadraticAttenuation * pow(distanceFromLight, 2.0)
+  );
+}
+
+/*
+  Find the cosine of the angle between where the spot light is pointing, and
+  the direction from the light to the surface. Smoothly fade the light out
+  between the inner and outer cone.
+*/
+float spotLightCone(vec3 directionFromLight, vec3 spotDirection, float innerCone, float outerCone) {
+  float angleCosine = dot(directionFromLight, normalize(spotDirection));
+  
+  // smoothstep() isn't defined when both edges are the same, so when the
+  // inner and outer cones meet the light gets a hard edge instead.
+  if( innerCone <= outerCone ) {
+    return step(outerCone, angleCosine);
+  }
+  return smoothstep(outerCone, innerCone, angleCosine);
+}
+
+/*
+  Find the direction from the surface to a light, and how much of the light
+  reaches the surface. Call it with the values of light i from the arrays:
+
+    vec3 direction;
+    float falloff = lightFalloff(
+      lightType[i], lightPosition[i], lightDirection[i],
+      lightLinearAttenuation[i], lightQuadraticAttenuation[i],
+      lightInnerCone[i], lightOuterCone[i],
+      position, direction
+    );
+
+  The values are passed in rather than the index i, as WebGL only promises
+  to index the uniform arrays in a fragment shader with a loop's counter.
+*/
+float lightFalloff(
+  int type, vec3 sourcePosition, vec3 sourceDirection,
+  float linearAttenuation, float quadraticAttenuation,
+  float innerCone, float outerCone,
+  vec3 position, out vec3 direction
+) {
+  if( type == DIRECTIONAL_LIGHT ) {
+
+    // The light is so far away that it comes in from the same direction
+    // everywhere, and doesn't get any dimmer.
+    direction = -normalize(sourceDirection);
+    return 1.0;
+  }
+
+  // Calculate the distance of this fragment from the light, and direction
+  float distanceFromLight = distance(sourcePosition, position);
+  direction = normalize(sourcePosition - position);
+
+  // The light gets dimmer the further away it is
+  float falloff = lightAttenuation(distanceFromLight, linearAttenuation, quadraticAttenuation);
+
+  // A spot light only shines inside of its cone
+  if( type == SPOT_LIGHT ) {
+    falloff *= spotLightCone(-direction, sourceDirection, innerCone, outerCone);
+  }
+
+  return falloff;
+}
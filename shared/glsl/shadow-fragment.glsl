@@ -0,0 +1,8 @@
+precision mediump float;
+
+#include "depth-packing.glsl"
+
+void main() {
+  // The depth of this fragment from the light, from 0 to 1
+  gl_FragColor = packDepth(gl_FragCoord.z);
+}
@@ -0,0 +1,9 @@
+// Draw the scene from the light's point of view, see /shared/shadow-map.js
+attribute vec3 position;
+
+uniform mat4 model;
+uniform mat4 lightViewProjection;
+
+void main() {
+  gl_Position = lightViewProjection * model * vec4( position, 1.0 );
+}
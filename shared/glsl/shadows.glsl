@@ -0,0 +1,49 @@
+/*
+  This gets added after the fragment shaders to look up the shadows in the
+  shadow map. It returns 1.0 when the fragment is lit, 0.0 when it's in
+  shadow, and something in between on the soft edges.
+*/
+uniform sampler2D shadowMap;
+uniform float shadowMapSize;
+uniform float shadowBias;
+uniform float shadowFilterRadius;
+
+#include "depth-packing.glsl"
+
+float shadow(vec4 shadowPosition) {
+  
+  // Go from the light's clip space to 0-1 in the shadow map
+  vec3 coordinate = shadowPosition.xyz / shadowPosition.w * 0.5 + 0.5;
+  
+  // Anything outside of the shadow map is lit
+  if(
+    coordinate.x < 0.0 || coordinate.x > 1.0 ||
+    coordinate.y < 0.0 || coordinate.y > 1.0 ||
+    coordinate.z > 1.0
+  ) {
+    return 1.0;
+  }
+  
+  float lit = 0.0;
+  float samples = 0.0;
+  
+  // Percentage closer filtering, average the shadow of the nearby pixels.
+  // The loops need a constant size, so skip the pixels outside of the radius.
+  for( float x = -2.0; x <= 2.0; x += 1.0 ) {
+    for( float y = -2.0; y <= 2.0; y += 1.0 ) {
+      
+      if( abs(x) > shadowFilterRadius || abs(y) > shadowFilterRadius ) {
+        continue;
+      }
+      
+      vec2 offset = vec2(x, y) / shadowMapSize;
+      float closestDepth = unpackDepth(texture2D(shadowMap, coordinate.xy + offset));
+      
+      // Something is between this fragment and the light
+      lit += coordinate.z - shadowBias > closestDepth ? 0.0 : 1.0;
+      samples += 1.0;
+    }
+  }
+  
+  return lit / samples;
+}
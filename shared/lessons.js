@@ -0,0 +1,164 @@
+/**
+ * The lessons in the order they are meant to be worked through. This list is
+ * where the title of each lesson, its place in the order, and the links
+ * between them come from, so adding a lesson only takes a new entry here.
+ *
+ * Every lesson page includes this file, and gets a title in the corner with
+ * links to the previous and next lessons, and back to the list of all of them
+ * in /index.html
+ *
+ *   <script type='text/javascript' src='../../shared/lessons.js'></script>
+ *
+ * The id of each lesson is the name of its folder in /lessons
+ **/
+
+var MDN = MDN || {};
+
+MDN.lessons = [
+  {
+    id          : "01-no-lighting",
+    title       : "A Model with no Lighting",
+    time        : "15 min",
+    description : "Project the bunny onto the screen with a single flat color."
+  },
+  {
+    id          : "02-normal-lighting",
+    title       : "Normal Lighting",
+    time        : "15 min",
+    description : "Color the surface with its normal vectors to see which way it faces."
+  },
+  {
+    id          : "03-transform-normals",
+    title       : "Transformed Normals",
+    time        : "15 min",
+    description : "Transform the normals with the normal matrix so they turn with the model."
+  },
+  {
+    id          : "04-lambert-lighting",
+    title       : "Lambert Lighting Model",
+    time        : "20 min",
+    description : "Light the bunny from a single direction with Lambert's cosine law."
+  },
+  {
+    id          : "05-blinn-phong-lighting",
+    title       : "Blinn Phong Lighting Model",
+    time        : "20 min",
+    description : "Add shiny specular highlights that depend on where the camera is."
+  },
+  {
+    id          : "05-multiple-lights",
+    title       : "Multiple Lights",
+    time        : "20 min",
+    description : "Add up directional, point and spot lights in a loop."
+  },
+  {
+    id          : "06-multiple-lights-specular",
+    title       : "Multiple Lights with Specular Highlights",
+    time        : "20 min",
+    description : "Give every light its own specular highlight."
+  },
+  {
+    id          : "07-physically-based-lighting",
+    title       : "Physically Based Lighting",
+    time        : "30 min",
+    description : "Swap Blinn Phong for the Cook Torrance reflection model."
+  },
+  {
+    id          : "08-scene-graph",
+    title       : "Scene Graph",
+    time        : "20 min",
+    description : "Light many models at once, each with its own transform and material."
+  }
+];
+
+// Where the index page is, relative to a lesson's folder
+MDN.lessonIndexUrl = "../../index.html";
+
+MDN.getCurrentLessonIndex = function () {
+
+  // Find which lesson's folder the page is in, or -1 if it isn't in a lesson
+
+  var folders = window.location.pathname.split("/");
+
+  for( var i = 0; i < MDN.lessons.length; i++ ) {
+    if( folders.indexOf(MDN.lessons[i].id) !== -1 ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+MDN.createLessonLink = function (lesson, text) {
+
+  var link = document.createElement("a");
+  link.href = "../" + lesson.id + "/index.html";
+  link.title = lesson.title;
+  link.innerHTML = text;
+  return link;
+}
+
+MDN.addLessonTitle = function () {
+
+  /*
+    Add the title of the current lesson to the page, along with the links to
+    step through the lessons. This is what the .lesson-title style in
+    /shared/style.css is for. Does nothing on a page that isn't a lesson.
+  */
+
+  var index = MDN.getCurrentLessonIndex();
+
+  if( index === -1 ) {
+    return null;
+  }
+
+  var lesson = MDN.lessons[index];
+  var previous = MDN.lessons[index - 1];
+  var next = MDN.lessons[index + 1];
+
+  var title = document.createElement("h1");
+  title.className = "lesson-title";
+
+  if( previous ) {
+    title.appendChild(MDN.createLessonLink(previous, "&larr;"));
+    title.appendChild(document.createTextNode(" "));
+  }
+
+  var home = document.createElement("a");
+  home.href = MDN.lessonIndexUrl;
+  home.title = "All of the lessons";
+  home.textContent = (index + 1) + "/" + MDN.lessons.length;
+
+  title.appendChild(home);
+  title.appendChild(document.createTextNode(" " + lesson.title + " "));
+
+  if( next ) {
+    title.appendChild(MDN.createLessonLink(next, "&rarr;"));
+  }
+
+  document.body.appendChild(title);
+
+  return title;
+}
+
+MDN.addLessonList = function (element) {
+
+  // Fill in the list of lessons on the index page, with a link to each one
+
+  MDN.lessons.forEach(function(lesson) {
+
+    var item = document.createElement("li");
+    var link = document.createElement("a");
+    var details = document.createElement("p");
+
+    link.href = "lessons/" + lesson.id + "/index.html";
+    link.textContent = lesson.title;
+
+    details.textContent = lesson.description + " (" + lesson.time + ")";
+
+    item.appendChild(link);
+    item.appendChild(details);
+    element.appendChild(item);
+  });
+}
+
+MDN.addLessonTitle();
@@ -0,0 +1,160 @@
+/**
+ * The types of lights used by the lessons. Each light has a color and an
+ * intensity, and then the values specific to how it shines:
+ *
+ *   MDN.DirectionalLight - Light coming from far away in one direction, like the sun
+ *   MDN.PointLight       - Light shining out in every direction from a position, like a bulb
+ *   MDN.SpotLight        - A point light that only shines in a cone, like a flashlight
+ *
+ * The type numbers match the defines in the fragment shaders.
+ **/
+
+var MDN = MDN || {};
+
+MDN.DIRECTIONAL_LIGHT = 0;
+MDN.POINT_LIGHT = 1;
+MDN.SPOT_LIGHT = 2;
+
+MDN.Light = function (color, intensity) {
+
+  // A vector 3 of the color, with values ranging from 0-1
+  this.color = color;
+
+  // A single number around the value of 1 that adjusts the light intensity
+  this.intensity = intensity;
+}
+
+MDN.DirectionalLight = function (direction, color, intensity) {
+
+  MDN.Light.call(this, color, intensity);
+
+  this.type = MDN.DIRECTIONAL_LIGHT;
+
+  // A vector 3 of the direction the light is shining towards
+  this.direction = MDN.normalize(direction);
+}
+
+MDN.DirectionalLight.prototype = Object.create(MDN.Light.prototype);
+MDN.DirectionalLight.prototype.constructor = MDN.DirectionalLight;
+
+MDN.PointLight = function (position, color, intensity, linearAttenuation, quadraticAttenuation) {
+
+  MDN.Light.call(this, color, intensity);
+
+  this.type = MDN.POINT_LIGHT;
+
+  // A vector 3 representing the position of the light
+  this.position = position;
+
+  // How much the light dims by the distance from the light
+  // Interactive graph of how this works: https://www.desmos.com/calculator/jdzi6pupp5
+  this.linearAttenuation = linearAttenuation;
+  this.quadraticAttenuation = quadraticAttenuation;
+}
+
+MDN.PointLight.prototype = Object.create(MDN.Light.prototype);
+MDN.PointLight.prototype.constructor = MDN.PointLight;
+
+MDN.SpotLight = function (
+  position, direction, color, intensity, linearAttenuation, quadraticAttenuation,
+  innerConeAngle, outerConeAngle
+) {
+
+  MDN.PointLight.call(this, position, color, intensity, linearAttenuation, quadraticAttenuation);
+
+  this.type = MDN.SPOT_LIGHT;
+
+  // A vector 3 of the direction the light is pointing
+  this.direction = MDN.normalize(direction);
+
+  /*
+    The angles in radians from the center of the cone. Inside of the inner
+    angle the light is at full strength, and then it smoothly fades out until
+    the outer angle. Past the outer angle there is no light.
+  */
+  this.innerConeAngle = innerConeAngle;
+  this.outerConeAngle = outerConeAngle;
+}
+
+MDN.SpotLight.prototype = Object.create(MDN.PointLight.prototype);
+MDN.SpotLight.prototype.constructor = MDN.SpotLight;
+
+/*
+  A shader can't take an array of objects, so the lights are flattened into
+  one typed array for each value. The arrays are made big enough for
+  maxLights, and the shader is told how many of them are in use.
+
+    var buffers = MDN.createLightBuffers(8);
+
+    MDN.updateLightBuffers(buffers, lights);
+    MDN.setLightUniforms(program, buffers, lights.length);
+
+  The program is a MDN.ShaderProgram, and the uniform names match the ones
+  in /shared/glsl/lights.glsl
+*/
+
+MDN.createLightBuffers = function (maxLights) {
+
+  return {
+    type                 : new Int32Array(maxLights),
+    position             : new Float32Array(maxLights * 3),
+    direction            : new Float32Array(maxLights * 3),
+    color                : new Float32Array(maxLights * 3),
+    intensity            : new Float32Array(maxLights),
+    linearAttenuation    : new Float32Array(maxLights),
+    quadraticAttenuation : new Float32Array(maxLights),
+    innerCone            : new Float32Array(maxLights),
+    outerCone            : new Float32Array(maxLights)
+  };
+}
+
+MDN.updateLightBuffers = function (buffers, lights) {
+
+  // Flatten all of the lighting object data into the array buffers
+  for( var i=0; i < lights.length; i++ ) {
+
+    var light = lights[i];
+
+    // Not every type of light has every value, so fill in the gaps with
+    // values that the shader will ignore.
+    var position = light.position || [0, 0, 0];
+    var direction = light.direction || [0, 0, 0];
+
+    buffers.type[i]                 = light.type;
+    buffers.position[i * 3]         = position[0];
+    buffers.position[i * 3 + 1]     = position[1];
+    buffers.position[i * 3 + 2]     = position[2];
+    buffers.direction[i * 3]        = direction[0];
+    buffers.direction[i * 3 + 1]    = direction[1];
+    buffers.direction[i * 3 + 2]    = direction[2];
+    buffers.color[i * 3]            = light.color[0];
+    buffers.color[i * 3 + 1]        = light.color[1];
+    buffers.color[i * 3 + 2]        = light.color[2];
+    buffers.intensity[i]            = light.intensity;
+    buffers.linearAttenuation[i]    = light.linearAttenuation || 0;
+    buffers.quadraticAttenuation[i] = light.quadraticAttenuation || 0;
+
+    // The shader compares against the cosine of the angles, which is cheaper
+    // than finding the angle of each fragment.
+    buffers.innerCone[i]            = Math.cos(light.innerConeAngle || 0);
+    buffers.outerCone[i]            = Math.cos(light.outerConeAngle || 0);
+  }
+
+  return buffers;
+}
+
+MDN.setLightUniforms = function (program, buffers, count) {
+
+  // The program must already be in use, and warns about any name it doesn't have
+
+  program.setUniform("lightCount",                count);
+  program.setUniform("lightType",                 buffers.type);
+  program.setUniform("lightPosition",             buffers.position);
+  program.setUniform("lightDirection",            buffers.direction);
+  program.setUniform("lightColor",                buffers.color);
+  program.setUniform("lightIntensity",            buffers.intensity);
+  program.setUniform("lightLinearAttenuation",    buffers.linearAttenuation);
+  program.setUniform("lightQuadraticAttenuation", buffers.quadraticAttenuation);
+  program.setUniform("lightInnerCone",            buffers.innerCone);
+  program.setUniform("lightOuterCone",            buffers.outerCone);
+}
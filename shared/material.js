@@ -0,0 +1,139 @@
+/**
+ * A material describes what a surface is made of, like its color and how
+ * shiny it is. Each parameter is declared once with its type, and then the
+ * material sends all of them to the uniforms with the same names.
+ *
+ *   var material = new MDN.Material({
+ *     color          : { type: "color", value: [0.1, 0.4, 0.7, 1.0] },
+ *     specularAmount : { type: "float", value: 0.5, min: 0, max: 10 }
+ *   });
+ *
+ *   // Send every parameter to the MDN.ShaderProgram in use, see /shared/shaders.js
+ *   material.setUniforms(program);
+ *
+ *   material.values.specularAmount = 2;
+ *   JSON.stringify(material); // '{"color":[0.1,0.4,0.7,1],"specularAmount":2}'
+ *
+ * The types are "float", "int", "vec2", "vec3", "vec4" and "color". Colors are
+ * arrays of 3 or 4 numbers from 0 to 1, and get a color picker in dat.GUI.
+ * Numbers can have a min, max and step for their slider, and any parameter can
+ * have a label to show in dat.GUI instead of its name.
+ **/
+
+var MDN = MDN || {};
+
+MDN.Material = function (parameters, values) {
+
+  this.parameters = parameters;
+
+  // The current value of each parameter, arrays are copied so they aren't shared
+  this.values = {};
+
+  for( var name in parameters ) {
+    this.values[name] = MDN.Material.copyValue(parameters[name].value);
+  }
+
+  if( values ) {
+    this.set(values);
+  }
+}
+
+MDN.Material.copyValue = function( value ) {
+
+  return Array.isArray(value) || ArrayBuffer.isView(value) ? Array.prototype.slice.call(value) : value;
+};
+
+MDN.Material.prototype.setUniforms = function( program ) {
+
+  /*
+    Each parameter goes to the uniform with the same name. The program knows
+    the type of each uniform, and warns about any parameter that it doesn't
+    have, like a misspelled name. The program must already be in use.
+  */
+
+  for( var name in this.parameters ) {
+    program.setUniform(name, this.values[name]);
+  }
+};
+
+MDN.Material.prototype.set = function( values ) {
+
+  // Copy over the values, like the ones from JSON. Unknown names are skipped.
+
+  for( var name in values ) {
+    if( this.parameters.hasOwnProperty(name) ) {
+      var value = values[name];
+      if( Array.isArray(this.values[name]) ) {
+        // Write into the existing array, so anything holding on to it stays up to date
+        for( var i=0; i < this.values[name].length; i++ ) {
+          this.values[name][i] = value[i];
+        }
+      } else {
+        this.values[name] = value;
+      }
+    }
+  }
+
+  return this;
+};
+
+MDN.Material.prototype.toJSON = function() {
+
+  var json = {};
+
+  for( var name in this.values ) {
+    json[name] = MDN.Material.copyValue(this.values[name]);
+  }
+
+  return json;
+};
+
+MDN.Material.prototype.addDatGui = function( gui, names ) {
+
+  /*
+    Add a control for each parameter, or only the ones in the names list.
+    Vectors that aren't colors are left out, as dat.GUI has no control for them.
+  */
+
+  var values = this.values;
+  var parameters = this.parameters;
+
+  names = names || Object.keys(parameters);
+
+  names.forEach(function( name ) {
+
+    var parameter = parameters[name];
+    var controller;
+
+    if( parameter.type === "color" ) {
+      controller = MDN.Material.addColorGui(gui, values[name]);
+    } else if( parameter.type === "float" || parameter.type === "int" ) {
+      controller = gui.add(values, name);
+      if( parameter.min !== undefined ) controller.min(parameter.min);
+      if( parameter.max !== undefined ) controller.max(parameter.max);
+      if( parameter.step !== undefined || parameter.type === "int" ) controller.step(parameter.step || 1);
+    } else {
+      return;
+    }
+
+    controller.name(parameter.label || name);
+  });
+
+  return gui;
+};
+
+MDN.Material.addColorGui = function( gui, color ) {
+
+  // Dat.gui expects colors to be 0-255, so convert back and forth
+  var proxy = {
+    color : color.map(function( channel ) {
+      return channel * 255;
+    })
+  };
+
+  return gui.addColor(proxy, "color").onChange(function() {
+    for( var i=0; i < color.length; i++ ) {
+      color[i] = proxy.color[i] / 255;
+    }
+  });
+};
@@ -1,5 +1,109 @@
+/**
+ * Matrix and vector utilities for the lessons.
+ * 
+ * Every function that creates a matrix returns a new array by default, which
+ * is the easiest to read. They also take an optional last "out" argument, like
+ * a Float32Array, that the result is written into and returned. Re-using the
+ * same arrays each frame keeps the draw loop from creating any garbage.
+ * 
+ *   var model = MDN.rotateYMatrix(angle);            // New array every call
+ *   MDN.rotateYMatrix(angle, this.transforms.model); // Writes into the array
+ * 
+ **/
+
 var MDN = MDN || {};
 
+MDN.setMatrix = function (out,
+  m00, m01, m02, m03,
+  m04, m05, m06, m07,
+  m08, m09, m10, m11,
+  m12, m13, m14, m15
+) {
+  
+  // Writes the 16 values into the out array without allocating a new one
+  
+  out[ 0] = m00; out[ 1] = m01; out[ 2] = m02; out[ 3] = m03;
+  out[ 4] = m04; out[ 5] = m05; out[ 6] = m06; out[ 7] = m07;
+  out[ 8] = m08; out[ 9] = m09; out[10] = m10; out[11] = m11;
+  out[12] = m12; out[13] = m13; out[14] = m14; out[15] = m15;
+  
+  return out;
+}
+
+/*
+  Some matrices can't be inverted, like a scale matrix that squashes one of its
+  axes down to 0. The determinant of these matrices is 0, or in practice so close
+  to 0 that dividing by it blows the numbers up. MDN.invertMatrix() and
+  MDN.normalMatrix() both follow these settings for what to do in that case:
+  
+    MDN.matrixSettings.nonInvertible = "throw"    // Throw a MDN.NonInvertibleMatrixError
+    MDN.matrixSettings.nonInvertible = "identity" // Quietly return the identity matrix
+  
+  How close to 0 is too close depends on the size of the matrix. Shrinking a
+  model down to a thousandth of its size makes the determinant a billionth,
+  but the matrix is still perfectly fine to invert. So the determinant is
+  compared to the size of the matrix, see MDN.isInvertible().
+*/
+
+MDN.matrixSettings = {
+  
+  // Determinants closer to 0 than this, relative to the size of the matrix,
+  // are treated as 0
+  epsilon : 1e-10,
+  
+  // Either "throw" or "identity"
+  nonInvertible : "throw"
+};
+
+MDN.NonInvertibleMatrixError = function (message) {
+  this.name = "NonInvertibleMatrixError";
+  this.message = message;
+  this.stack = (new Error(message)).stack;
+}
+
+MDN.NonInvertibleMatrixError.prototype = Object.create(Error.prototype);
+MDN.NonInvertibleMatrixError.prototype.constructor = MDN.NonInvertibleMatrixError;
+
+MDN.isInvertible = function (determinant, matrix) {
+  
+  /*
+    Scaling the rotation and scale part of a 4x4 matrix (the top left 3x3) by
+    s scales its determinant by s * s * s. Dividing by the cube of its largest
+    value takes the overall size out of it. What's left is only small when one
+    axis gets squashed a lot more than the others.
+  */
+  
+  var size = 0;
+  
+  for( var column=0; column < 3; column++ ) {
+    for( var row=0; row < 3; row++ ) {
+      size = Math.max(size, Math.abs(matrix[column * 4 + row]));
+    }
+  }
+  
+  if( size === 0 ) {
+    return false;
+  }
+  
+  return Math.abs(determinant) / (size * size * size) > MDN.matrixSettings.epsilon;
+}
+
+MDN.nonInvertibleMatrix = function (result, size) {
+  
+  // Apply the MDN.matrixSettings.nonInvertible policy to a result matrix
+  // that is either 3x3 or 4x4 in size.
+  
+  if( MDN.matrixSettings.nonInvertible !== "identity" ) {
+    throw new MDN.NonInvertibleMatrixError("Can't invert matrix, determinant is 0");
+  }
+  
+  for( var i=0; i < size * size; i++ ) {
+    result[i] = i % (size + 1) === 0 ? 1 : 0;
+  }
+  
+  return result;
+}
+
 MDN.matrixArrayToCssMatrix = function (array) {
   return "matrix3d(" + array.join(',') + ")";
 }
@@ -21,12 +125,13 @@ MDN.multiplyPoint = function (matrix, point) {
   ];
 }
 
-MDN.multiplyMatrices = function (a, b) {
+MDN.multiplyMatrices = function (a, b, out) {
   
   // TODO - Simplify for explanation
   // currently taken from https://github.com/toji/gl-matrix/blob/master/src/gl-matrix/mat4.js#L306-L337
   
-  var result = [];
+  // It's safe for out to be the same array as a or b
+  var result = out || [];
   
   var a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3],
       a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7],
@@ -61,18 +166,26 @@ MDN.multiplyMatrices = function (a, b) {
   return result;
 }
 
-MDN.multiplyArrayOfMatrices = function (matrices) {
+MDN.multiplyArrayOfMatrices = function (matrices, out) {
   
   var inputMatrix = matrices[0];
   
+  if( out ) {
+    // Keep multiplying into the same out array
+    for(var j=0; j < 16; j++) {
+      out[j] = inputMatrix[j];
+    }
+    inputMatrix = out;
+  }
+  
   for(var i=1; i < matrices.length; i++) {
-    inputMatrix = MDN.multiplyMatrices(inputMatrix, matrices[i]);
+    inputMatrix = MDN.multiplyMatrices(inputMatrix, matrices[i], out);
   }
   
   return inputMatrix;
 }
 
-MDN.normalMatrix = function (matrix) {
+MDN.normalMatrix = function (matrix, out) {
 
   /*
     This function takes the inverse and then transpose of the provided
@@ -103,12 +216,13 @@ MDN.normalMatrix = function (matrix) {
       // Calculate the determinant
       det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
 
-  if (!det) { 
-    return null; 
+  var result = out || [];
+  
+  if (!MDN.isInvertible(det, matrix)) { 
+    return MDN.nonInvertibleMatrix(result, 3);
   }
   det = 1.0 / det;
   
-  var result = []
 
   result[0] = (a11 * b11 - a12 * b10 + a13 * b09) * det;
   result[1] = (a12 * b08 - a10 * b11 - a13 * b07) * det;
@@ -125,64 +239,79 @@ MDN.normalMatrix = function (matrix) {
   return result;
 }
 
-MDN.rotateXMatrix = function (a) {
+/*
+  A positive angle turns clockwise when looking back down the axis at the
+  origin. That's the opposite of the right hand rule that MDN.cross() follows.
+  The quaternion functions further down turn the same way as these.
+*/
+
+MDN.rotateXMatrix = function (a, out) {
   
   var cos = Math.cos;
   var sin = Math.sin;
   
-  return [
+  return MDN.setMatrix(out || [],
        1,       0,        0,     0,
        0,  cos(a),  -sin(a),     0,
        0,  sin(a),   cos(a),     0,
        0,       0,        0,     1
-  ];
+  );
 }
 
-MDN.rotateYMatrix = function (a) {
+MDN.rotateYMatrix = function (a, out) {
 
   var cos = Math.cos;
   var sin = Math.sin;
   
-  return [
+  return MDN.setMatrix(out || [],
      cos(a),   0, sin(a),   0,
           0,   1,      0,   0,
     -sin(a),   0, cos(a),   0,
           0,   0,      0,   1
-  ];
+  );
 }
 
-MDN.rotateZMatrix = function (a) {
+MDN.rotateZMatrix = function (a, out) {
 
   var cos = Math.cos;
   var sin = Math.sin;
   
-  return [
+  return MDN.setMatrix(out || [],
     cos(a), -sin(a),    0,    0,
     sin(a),  cos(a),    0,    0,
          0,       0,    1,    0,
          0,       0,    0,    1
-  ];
+  );
 }
 
-MDN.translateMatrix = function (x, y, z) {
-	return [
+MDN.identityMatrix = function (out) {
+	return MDN.setMatrix(out || [],
+	    1,    0,    0,   0,
+	    0,    1,    0,   0,
+	    0,    0,    1,   0,
+	    0,    0,    0,   1
+	);
+}
+
+MDN.translateMatrix = function (x, y, z, out) {
+	return MDN.setMatrix(out || [],
 	    1,    0,    0,   0,
 	    0,    1,    0,   0,
 	    0,    0,    1,   0,
 	    x,    y,    z,   1
-	];
+	);
 }
 
-MDN.scaleMatrix = function (w, h, d) {
-	return [
+MDN.scaleMatrix = function (w, h, d, out) {
+	return MDN.setMatrix(out || [],
 	    w,    0,    0,   0,
 	    0,    h,    0,   0,
 	    0,    0,    d,   0,
 	    0,    0,    0,   1
-	];
+	);
 }
 
-MDN.perspectiveMatrix = function (fieldOfViewInRadians, aspectRatio, near, far) {
+MDN.perspectiveMatrix = function (fieldOfViewInRadians, aspectRatio, near, far, out) {
   
   // Construct a perspective matrix
   
@@ -196,15 +325,15 @@ MDN.perspectiveMatrix = function (fieldOfViewInRadians, aspectRatio, near, far)
   var f = 1.0 / Math.tan(fieldOfViewInRadians / 2);
   var rangeInv = 1 / (near - far);
  
-  return [
+  return MDN.setMatrix(out || [],
     f / aspectRatio, 0,                          0,   0,
     0,               f,                          0,   0,
     0,               0,    (near + far) * rangeInv,  -1,
     0,               0,  near * far * rangeInv * 2,   0
-  ];
+  );
 }
 
-MDN.orthographicMatrix = function(left, right, bottom, top, near, far) {
+MDN.orthographicMatrix = function(left, right, bottom, top, near, far, out) {
   
   // Each of the parameters represents the plane of the bounding box
   
@@ -216,12 +345,12 @@ MDN.orthographicMatrix = function(left, right, bottom, top, near, far) {
   var row4col2 = (top + bottom) * bt;
   var row4col3 = (far + near) * nf;
   
-  return [
+  return MDN.setMatrix(out || [],
      -2 * lr,        0,        0, 0,
            0,  -2 * bt,        0, 0,
            0,        0,   2 * nf, 0,
     row4col1, row4col2, row4col3, 1
-  ];
+  );
 }
 
 MDN.normalize = function( vector ) {
@@ -241,23 +370,36 @@ MDN.normalize = function( vector ) {
   ]
 }
 
-MDN.invertMatrix = function( matrix ) {
+MDN.invertMatrix = function( matrix, out ) {
 	
 	// Adapted from: https://github.com/mrdoob/three.js/blob/master/src/math/Matrix4.js
 	
-	// Performance note: Try not to allocate memory during a loop. This is done here
-	// for the ease of understanding the code samples.
-	var result = [];
+	// Performance note: Try not to allocate memory during a loop. A new array is
+	// created here for the ease of understanding the code samples, pass in an out
+	// array to re-use it instead.
+	var result = out || [];
 
 	var n11 = matrix[0], n12 = matrix[4], n13 = matrix[ 8], n14 = matrix[12];
 	var n21 = matrix[1], n22 = matrix[5], n23 = matrix[ 9], n24 = matrix[13];
 	var n31 = matrix[2], n32 = matrix[6], n33 = matrix[10], n34 = matrix[14];
 	var n41 = matrix[3], n42 = matrix[7], n43 = matrix[11], n44 = matrix[15];
 
-	result[ 0] = n23 * n34 * n42 - n24 * n33 * n42 + n24 * n32 * n43 - n22 * n34 * n43 - n23 * n32 * n44 + n22 * n33 * n44;
-	result[ 4] = n14 * n33 * n42 - n13 * n34 * n42 - n14 * n32 * n43 + n12 * n34 * n43 + n13 * n32 * n44 - n12 * n33 * n44;
-	result[ 8] = n13 * n24 * n42 - n14 * n23 * n42 + n14 * n22 * n43 - n12 * n24 * n43 - n13 * n22 * n44 + n12 * n23 * n44;
-	result[12] = n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34;
+	var t11 = n23 * n34 * n42 - n24 * n33 * n42 + n24 * n32 * n43 - n22 * n34 * n43 - n23 * n32 * n44 + n22 * n33 * n44;
+	var t12 = n14 * n33 * n42 - n13 * n34 * n42 - n14 * n32 * n43 + n12 * n34 * n43 + n13 * n32 * n44 - n12 * n33 * n44;
+	var t13 = n13 * n24 * n42 - n14 * n23 * n42 + n14 * n22 * n43 - n12 * n24 * n43 - n13 * n22 * n44 + n12 * n23 * n44;
+	var t14 = n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34;
+
+	// Check the determinant before writing anything, in case out is the same array as matrix
+	var determinant = n11 * t11 + n21 * t12 + n31 * t13 + n41 * t14;
+
+	if ( !MDN.isInvertible(determinant, matrix) ) {
+		return MDN.nonInvertibleMatrix(result, 4);
+	}
+
+	result[ 0] = t11;
+	result[ 4] = t12;
+	result[ 8] = t13;
+	result[12] = t14;
 	result[ 1] = n24 * n33 * n41 - n23 * n34 * n41 - n24 * n31 * n43 + n21 * n34 * n43 + n23 * n31 * n44 - n21 * n33 * n44;
 	result[ 5] = n13 * n34 * n41 - n14 * n33 * n41 + n14 * n31 * n43 - n11 * n34 * n43 - n13 * n31 * n44 + n11 * n33 * n44;
 	result[ 9] = n14 * n23 * n41 - n13 * n24 * n41 - n14 * n21 * n43 + n11 * n24 * n43 + n13 * n21 * n44 - n11 * n23 * n44;
@@ -271,15 +413,212 @@ MDN.invertMatrix = function( matrix ) {
 	result[11] = n13 * n22 * n41 - n12 * n23 * n41 - n13 * n21 * n42 + n11 * n23 * n42 + n12 * n21 * n43 - n11 * n22 * n43;
 	result[15] = n12 * n23 * n31 - n13 * n22 * n31 + n13 * n21 * n32 - n11 * n23 * n32 - n12 * n21 * n33 + n11 * n22 * n33;
 
-	var determinant = n11 * result[0] + n21 * result[4] + n31 * result[8] + n41 * result[12];
-
-	if ( determinant === 0 ) {
-		throw new Error("Can't invert matrix, determinant is 0");
-	}
-	
-	for( var i=0; i < result.length; i++ ) {
+	for( var i=0; i < 16; i++ ) {
 		result[i] /= determinant;
 	}
 
 	return result;
-}
\ No newline at end of file
+}
+
+MDN.dot = function( a, b ) {
+  
+  // The dot product of two vectors. When both are of length 1 this is the
+  // cosine of the angle between them.
+  
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+MDN.cross = function( a, b ) {
+  
+  // The cross product of two vectors is a new vector that is perpendicular
+  // to both of them, following the right hand rule.
+  
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+MDN.subtract = function( a, b ) {
+  
+  // Subtracting two points gives the vector pointing from b to a
+  
+  return [
+    a[0] - b[0],
+    a[1] - b[1],
+    a[2] - b[2]
+  ];
+}
+
+MDN.length = function( vector ) {
+  
+  return Math.sqrt(
+    vector[0] * vector[0] +
+    vector[1] * vector[1] +
+    vector[2] * vector[2]
+  );
+}
+
+MDN.transposeMatrix = function( matrix, out ) {
+  
+  // Flip the matrix over its diagonal, so the rows become the columns
+  
+  return MDN.setMatrix(out || [],
+    matrix[0], matrix[4], matrix[ 8], matrix[12],
+    matrix[1], matrix[5], matrix[ 9], matrix[13],
+    matrix[2], matrix[6], matrix[10], matrix[14],
+    matrix[3], matrix[7], matrix[11], matrix[15]
+  );
+}
+
+MDN.lookAtMatrix = function( eye, target, up, out ) {
+  
+  /*
+    Creates a view matrix for a camera positioned at the eye, pointing at the
+    target. The up vector decides which way is up for the camera, typically
+    [0, 1, 0]. It must not point in the same direction the camera is looking.
+  
+    The vector math is written out by hand so that no arrays are created,
+    but it's the same as:
+  
+      z = normalize(eye - target)
+      x = normalize(cross(up, z))
+      y = cross(z, x)
+  
+    Adapted from https://github.com/toji/gl-matrix
+  */
+  
+  // The camera looks down its own negative Z axis, so Z points back at the eye
+  var zx = eye[0] - target[0],
+      zy = eye[1] - target[1],
+      zz = eye[2] - target[2];
+  var zLength = Math.sqrt(zx * zx + zy * zy + zz * zz);
+  zx /= zLength; zy /= zLength; zz /= zLength;
+  
+  var xx = up[1] * zz - up[2] * zy,
+      xy = up[2] * zx - up[0] * zz,
+      xz = up[0] * zy - up[1] * zx;
+  var xLength = Math.sqrt(xx * xx + xy * xy + xz * xz);
+  xx /= xLength; xy /= xLength; xz /= xLength;
+  
+  var yx = zy * xz - zz * xy,
+      yy = zz * xx - zx * xz,
+      yz = zx * xy - zy * xx;
+  
+  return MDN.setMatrix(out || [],
+    xx, yx, zx, 0,
+    xy, yy, zy, 0,
+    xz, yz, zz, 0,
+    -(xx * eye[0] + xy * eye[1] + xz * eye[2]),
+    -(yx * eye[0] + yy * eye[1] + yz * eye[2]),
+    -(zx * eye[0] + zy * eye[1] + zz * eye[2]),
+    1
+  );
+}
+
+/*
+  Quaternions are another way to store a rotation, using 4 numbers [x, y, z, w].
+  They are handy because they can be smoothly blended between without the
+  problems of blending angles, like gimbal lock. The following functions
+  turn the same way as MDN.rotateXMatrix() and friends, so
+  MDN.rotateAxisAngleMatrix([0, 1, 0], angle) is the same as MDN.rotateYMatrix(angle).
+*/
+
+MDN.quaternionFromAxisAngle = function( axis, angle ) {
+  
+  // The axis should be a vector of length 1. The angle is flipped so that a
+  // positive angle turns clockwise, like MDN.rotateXMatrix() and friends.
+  
+  var halfAngle = -angle / 2;
+  var sin = Math.sin(halfAngle);
+  
+  return [
+    axis[0] * sin,
+    axis[1] * sin,
+    axis[2] * sin,
+    Math.cos(halfAngle)
+  ];
+}
+
+MDN.multiplyQuaternions = function( a, b ) {
+  
+  // Combines the rotations, the result first rotates by b and then by a
+  
+  var ax = a[0], ay = a[1], az = a[2], aw = a[3],
+      bx = b[0], by = b[1], bz = b[2], bw = b[3];
+  
+  return [
+    ax * bw + aw * bx + ay * bz - az * by,
+    ay * bw + aw * by + az * bx - ax * bz,
+    az * bw + aw * bz + ax * by - ay * bx,
+    aw * bw - ax * bx - ay * by - az * bz
+  ];
+}
+
+MDN.slerpQuaternions = function( a, b, t ) {
+  
+  /*
+    Spherical linear interpolation. Blends from rotation a (t = 0) to
+    rotation b (t = 1) at a constant speed.
+  
+    Adapted from https://github.com/toji/gl-matrix
+  */
+  
+  var bx = b[0], by = b[1], bz = b[2], bw = b[3];
+  var cosom = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+  
+  // Take the shortest path around the sphere
+  if( cosom < 0 ) {
+    cosom = -cosom;
+    bx = -bx; by = -by; bz = -bz; bw = -bw;
+  }
+  
+  var scaleA, scaleB;
+  
+  if( 1 - cosom > 0.000001 ) {
+    var omega = Math.acos(cosom);
+    var sinom = Math.sin(omega);
+    scaleA = Math.sin((1 - t) * omega) / sinom;
+    scaleB = Math.sin(t * omega) / sinom;
+  } else {
+    // The rotations are very close, a plain linear blend is good enough
+    scaleA = 1 - t;
+    scaleB = t;
+  }
+  
+  return [
+    scaleA * a[0] + scaleB * bx,
+    scaleA * a[1] + scaleB * by,
+    scaleA * a[2] + scaleB * bz,
+    scaleA * a[3] + scaleB * bw
+  ];
+}
+
+MDN.quaternionToMatrix = function( q, out ) {
+  
+  // Turn the quaternion into a 4x4 rotation matrix
+  
+  var x = q[0], y = q[1], z = q[2], w = q[3];
+  
+  var xx = x * x * 2, yy = y * y * 2, zz = z * z * 2,
+      xy = x * y * 2, xz = x * z * 2, yz = y * z * 2,
+      wx = w * x * 2, wy = w * y * 2, wz = w * z * 2;
+  
+  return MDN.setMatrix(out || [],
+    1 - yy - zz,      xy + wz,      xz - wy,    0,
+        xy - wz,  1 - xx - zz,      yz + wx,    0,
+        xz + wy,      yz - wx,  1 - xx - yy,    0,
+              0,            0,            0,    1
+  );
+}
+
+MDN.rotateAxisAngleMatrix = function( axis, angle, out ) {
+  
+  // Rotate around any axis, the axis gets normalized first
+  
+  return MDN.quaternionToMatrix(
+    MDN.quaternionFromAxisAngle(MDN.normalize(axis), angle),
+    out
+  );
+}
@@ -0,0 +1,182 @@
+/**
+ * Utility functions for sending a mesh to the GPU and drawing it. A mesh is
+ * in the same shape as MDN.bunnyModel, with positions, vertexNormals and
+ * elements.
+ *
+ * WebGL can always draw elements from a Uint16Array, which can only point
+ * to 65,536 different vertices. Bigger meshes need a Uint32Array, which is
+ * only supported with the OES_element_index_uint extension. If the extension
+ * isn't there, the mesh gets split up into smaller batches that are each
+ * drawn on their own.
+ *
+ *   var meshBuffers = MDN.createMeshBuffers(gl, MDN.bunnyModel);
+ *   MDN.drawMesh(gl, meshBuffers, locations);
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/OES_element_index_uint
+ **/
+
+var MDN = MDN || {};
+
+MDN.MAX_SHORT_VERTICES = 65536;
+
+MDN.canUseUintElements = function (gl) {
+
+  // Asking for the extension turns it on
+  return Boolean(gl.getExtension("OES_element_index_uint"));
+}
+
+MDN.splitMesh = function (mesh, maxVertices) {
+
+  /*
+    Split the mesh into smaller meshes that each have no more than maxVertices.
+    The triangles are added to a batch one at a time, copying over the vertices
+    they use. When a triangle no longer fits, a new batch is started.
+  */
+
+  maxVertices = maxVertices || MDN.MAX_SHORT_VERTICES;
+
+  var batches = [];
+  var batch, localIndex;
+
+  function startBatch() {
+    batch = { positions: [], vertexNormals: [], elements: [] };
+    localIndex = {};
+    batches.push(batch);
+  }
+
+  function addVertex(vertex) {
+    if( localIndex[vertex] === undefined ) {
+      localIndex[vertex] = batch.positions.length / 3;
+      for( var i=0; i < 3; i++ ) {
+        batch.positions.push(mesh.positions[vertex * 3 + i]);
+        if( mesh.vertexNormals ) {
+          batch.vertexNormals.push(mesh.vertexNormals[vertex * 3 + i]);
+        }
+      }
+    }
+    batch.elements.push(localIndex[vertex]);
+  }
+
+  startBatch();
+
+  for( var i=0; i < mesh.elements.length; i += 3 ) {
+
+    var a = mesh.elements[i], b = mesh.elements[i + 1], c = mesh.elements[i + 2];
+
+    // Count how many new vertices this triangle would add
+    var added = (localIndex[a] === undefined ? 1 : 0) +
+                (localIndex[b] === undefined && b !== a ? 1 : 0) +
+                (localIndex[c] === undefined && c !== a && c !== b ? 1 : 0);
+
+    if( batch.positions.length / 3 + added > maxVertices ) {
+      startBatch();
+    }
+
+    addVertex(a);
+    addVertex(b);
+    addVertex(c);
+  }
+
+  return batches.map(function(batch) {
+    return {
+      positions     : new Float32Array(batch.positions),
+      vertexNormals : mesh.vertexNormals ? new Float32Array(batch.vertexNormals) : null,
+      elements      : new Uint16Array(batch.elements)
+    };
+  });
+}
+
+MDN.createMeshBuffers = function (gl, mesh) {
+
+  // Pick the type of the elements from the data, and split the mesh if needed
+
+  var vertexCount = mesh.positions.length / 3;
+  var meshes;
+
+  if( vertexCount <= MDN.MAX_SHORT_VERTICES ) {
+    meshes = [{
+      positions     : mesh.positions,
+      vertexNormals : mesh.vertexNormals,
+      elements      : mesh.elements instanceof Uint16Array ? mesh.elements : new Uint16Array(mesh.elements)
+    }];
+  } else if( MDN.canUseUintElements(gl) ) {
+    meshes = [{
+      positions     : mesh.positions,
+      vertexNormals : mesh.vertexNormals,
+      elements      : mesh.elements instanceof Uint32Array ? mesh.elements : new Uint32Array(mesh.elements)
+    }];
+  } else {
+    meshes = MDN.splitMesh(mesh, MDN.MAX_SHORT_VERTICES);
+  }
+
+  return {
+    batches : meshes.map(function(batch) {
+      return MDN.createBatchBuffers(gl, batch);
+    })
+  };
+}
+
+MDN.createBatchBuffers = function (gl, batch) {
+
+  var positions = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, positions);
+  gl.bufferData(gl.ARRAY_BUFFER, batch.positions, gl.STATIC_DRAW);
+
+  var normals = null;
+  if( batch.vertexNormals ) {
+    normals = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normals);
+    gl.bufferData(gl.ARRAY_BUFFER, batch.vertexNormals, gl.STATIC_DRAW);
+  }
+
+  var elements = gl.createBuffer();
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, elements);
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, batch.elements, gl.STATIC_DRAW);
+
+  return {
+    positions   : positions,
+    normals     : normals,
+    elements    : elements,
+    count       : batch.elements.length,
+    elementType : batch.elements instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT
+  };
+}
+
+MDN.drawMesh = function (gl, meshBuffers, locations) {
+
+  /*
+    Bind the attributes and draw each batch. The locations are the attribute
+    locations for "position" and "normal". A location of -1 means the shader
+    doesn't use that attribute.
+  */
+
+  for( var i=0; i < meshBuffers.batches.length; i++ ) {
+
+    var batch = meshBuffers.batches[i];
+
+    // Set the positions attribute
+    gl.enableVertexAttribArray(locations.position);
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.positions);
+    gl.vertexAttribPointer(locations.position, 3, gl.FLOAT, false, 0, 0);
+
+    // Set the normals attribute
+    if( locations.normal >= 0 && batch.normals ) {
+      gl.enableVertexAttribArray(locations.normal);
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.normals);
+      gl.vertexAttribPointer(locations.normal, 3, gl.FLOAT, false, 0, 0);
+    }
+
+    // Set the elements array, or the order the positions will be drawn
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.elements);
+    gl.drawElements(gl.TRIANGLES, batch.count, batch.elementType, 0);
+  }
+}
+
+MDN.deleteMeshBuffers = function (gl, meshBuffers) {
+
+  meshBuffers.batches.forEach(function(batch) {
+    gl.deleteBuffer(batch.positions);
+    gl.deleteBuffer(batch.normals);
+    gl.deleteBuffer(batch.elements);
+  });
+}
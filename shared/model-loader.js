@@ -0,0 +1,475 @@
+/**
+ * Load models at runtime from Wavefront OBJ and Stanford PLY files. The
+ * parsers produce the same shape of data as MDN.bunnyModel, so the result
+ * can be used by any of the lessons:
+ *
+ *   {
+ *     positions     : Float32Array, // x, y, z for each vertex
+ *     elements      : Uint16Array,  // 3 indices for each triangle (Uint32Array for large models)
+ *     vertexNormals : Float32Array, // x, y, z for each vertex
+ *     faceNormals   : Float32Array  // x, y, z for each triangle
+ *   }
+ *
+ * https://en.wikipedia.org/wiki/Wavefront_.obj_file
+ * http://paulbourke.net/dataformats/ply/
+ **/
+
+var MDN = MDN || {};
+
+MDN.loadModel = function (url, callback) {
+
+  // Fetch a .obj or .ply file, and then call callback(error, model)
+
+  var request = new XMLHttpRequest();
+  request.open("GET", url, true);
+  request.responseType = "arraybuffer";
+
+  request.onload = function() {
+    if( request.status >= 400 ) {
+      callback(new Error("Could not load the model " + url + ", the status was " + request.status));
+      return;
+    }
+    var model;
+    try {
+      model = MDN.parseModel(request.response, url);
+    } catch( error ) {
+      callback(error);
+      return;
+    }
+    callback(null, model);
+  };
+
+  request.onerror = function() {
+    callback(new Error("Could not load the model " + url));
+  };
+
+  request.send();
+}
+
+MDN.parseModel = function (buffer, filename) {
+
+  // Pick the parser based on the file extension
+
+  var extension = filename.split(".").pop().toLowerCase();
+
+  if( extension === "obj" ) {
+    return MDN.parseOBJ(MDN.bufferToText(buffer));
+  }
+  if( extension === "ply" ) {
+    return MDN.parsePLY(buffer);
+  }
+  throw new Error("Unknown model format \"" + extension + "\", only .obj and .ply files are supported");
+}
+
+MDN.bufferToText = function (buffer) {
+
+  if( typeof buffer === "string" ) {
+    return buffer;
+  }
+  if( typeof TextDecoder !== "undefined" ) {
+    return new TextDecoder().decode(buffer);
+  }
+  var bytes = new Uint8Array(buffer);
+  var text = "";
+  for( var i=0; i < bytes.length; i++ ) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+MDN.parseOBJ = function (text) {
+
+  /*
+    OBJ files are text files with one command per line. Only the positions
+    ("v"), normals ("vn") and faces ("f") are used here. A face points to a
+    position and optionally a texture coordinate and normal for each corner:
+
+      f 1 2 3
+      f 1/1/1 2/2/2 3/3/3
+      f 1//1 2//2 3//3
+
+    WebGL can only have one index per vertex, so every unique combination
+    of position and normal becomes its own vertex.
+  */
+
+  var filePositions = [];
+  var fileNormals = [];
+
+  var positions = [];
+  var normals = [];
+  var elements = [];
+  var vertexIndices = {};
+
+  function toIndex(value, length) {
+    // OBJ indices start at 1, and negative indices count back from the end
+    var index = parseInt(value, 10);
+    return index < 0 ? length + index : index - 1;
+  }
+
+  function addVertex(corner) {
+    var parts = corner.split("/");
+    var positionIndex = toIndex(parts[0], filePositions.length);
+    var normalIndex = parts[2] ? toIndex(parts[2], fileNormals.length) : -1;
+
+    // Key by the indices rather than the text, as the same negative index
+    // points to a different vertex later on in the file
+    var key = positionIndex + "/" + normalIndex;
+
+    if( vertexIndices[key] !== undefined ) {
+      return vertexIndices[key];
+    }
+
+    var position = filePositions[positionIndex];
+
+    if( !position ) {
+      throw new Error("The OBJ face refers to a position that doesn't exist: " + corner);
+    }
+    positions.push(position[0], position[1], position[2]);
+
+    if( parts[2] ) {
+      var normal = fileNormals[normalIndex];
+
+      if( !normal ) {
+        throw new Error("The OBJ face refers to a normal that doesn't exist: " + corner);
+      }
+      normals.push(normal[0], normal[1], normal[2]);
+    }
+
+    vertexIndices[key] = positions.length / 3 - 1;
+    return vertexIndices[key];
+  }
+
+  var lines = text.split("\n");
+
+  for( var i=0; i < lines.length; i++ ) {
+
+    var words = lines[i].trim().split(/\s+/);
+
+    switch( words[0] ) {
+      case "v":
+        filePositions.push([parseFloat(words[1]), parseFloat(words[2]), parseFloat(words[3])]);
+        break;
+      case "vn":
+        fileNormals.push([parseFloat(words[1]), parseFloat(words[2]), parseFloat(words[3])]);
+        break;
+      case "f":
+        if( words.length < 4 ) {
+          throw new Error("The OBJ face on line " + (i + 1) + " needs at least 3 corners: " + lines[i].trim());
+        }
+
+        // Split polygons with more than 3 corners into a fan of triangles
+        var first = addVertex(words[1]);
+        var previous = addVertex(words[2]);
+        for( var j=3; j < words.length; j++ ) {
+          var current = addVertex(words[j]);
+          elements.push(first, previous, current);
+          previous = current;
+        }
+        break;
+    }
+  }
+
+  // Only keep the file's normals if every vertex had one
+  var hasNormals = normals.length === positions.length;
+
+  return MDN.createModel(positions, elements, hasNormals ? normals : null);
+}
+
+MDN.plyTypes = {
+  char   : { size: 1, method: "getInt8" },
+  int8   : { size: 1, method: "getInt8" },
+  uchar  : { size: 1, method: "getUint8" },
+  uint8  : { size: 1, method: "getUint8" },
+  short  : { size: 2, method: "getInt16" },
+  int16  : { size: 2, method: "getInt16" },
+  ushort : { size: 2, method: "getUint16" },
+  uint16 : { size: 2, method: "getUint16" },
+  int    : { size: 4, method: "getInt32" },
+  int32  : { size: 4, method: "getInt32" },
+  uint   : { size: 4, method: "getUint32" },
+  uint32 : { size: 4, method: "getUint32" },
+  float  : { size: 4, method: "getFloat32" },
+  float32: { size: 4, method: "getFloat32" },
+  double : { size: 8, method: "getFloat64" },
+  float64: { size: 8, method: "getFloat64" }
+};
+
+MDN.parsePLY = function (buffer) {
+
+  /*
+    PLY files start with a text header that describes the elements in the
+    file, followed by the data as either text or binary.
+
+      ply
+      format ascii 1.0
+      element vertex 8
+      property float x
+      property float y
+      property float z
+      element face 6
+      property list uchar int vertex_indices
+      end_header
+  */
+
+  if( typeof buffer === "string" ) {
+    buffer = MDN.textToBuffer(buffer);
+  }
+
+  var bytes = new Uint8Array(buffer);
+  var header = MDN.parsePLYHeader(bytes);
+
+  var readers = {
+    "ascii"                : MDN.readPLYAscii,
+    "binary_little_endian" : MDN.readPLYBinary,
+    "binary_big_endian"    : MDN.readPLYBinary
+  };
+
+  var read = readers[header.format];
+  if( !read ) {
+    throw new Error("Unknown PLY format \"" + header.format + "\"");
+  }
+
+  var data = read(buffer, header);
+
+  return MDN.createModel(data.positions, data.elements, data.normals);
+}
+
+MDN.textToBuffer = function (text) {
+
+  var bytes = new Uint8Array(text.length);
+  for( var i=0; i < text.length; i++ ) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+MDN.parsePLYHeader = function (bytes) {
+
+  // Read the header one character at a time until "end_header"
+
+  var text = "";
+  var offset = 0;
+  var end = /end_header\r?\n$/;
+
+  while( offset < bytes.length ) {
+    text += String.fromCharCode(bytes[offset++]);
+    if( end.test(text.slice(-12)) ) {
+      break;
+    }
+  }
+
+  var lines = text.split(/\r?\n/);
+
+  if( lines[0].trim() !== "ply" ) {
+    throw new Error("This is not a PLY file, it doesn't start with \"ply\"");
+  }
+  if( !end.test(text.slice(-12)) ) {
+    throw new Error("The PLY header is missing its \"end_header\"");
+  }
+
+  var header = {
+    format   : null,
+    elements : [],
+    offset   : offset // Where the data starts
+  };
+
+  for( var i=1; i < lines.length; i++ ) {
+
+    var words = lines[i].trim().split(/\s+/);
+    var element = header.elements[header.elements.length - 1];
+
+    switch( words[0] ) {
+      case "format":
+        header.format = words[1];
+        break;
+      case "element":
+        header.elements.push({ name: words[1], count: parseInt(words[2], 10), properties: [] });
+        break;
+      case "property":
+        if( words[1] === "list" ) {
+          element.properties.push({ name: words[4], countType: words[2], type: words[3] });
+        } else {
+          element.properties.push({ name: words[2], type: words[1] });
+        }
+        break;
+    }
+  }
+
+  return header;
+}
+
+MDN.readPLYAscii = function (buffer, header) {
+
+  var text = MDN.bufferToText(buffer.slice(header.offset));
+  var values = text.trim().split(/\s+/);
+  var index = 0;
+
+  return MDN.readPLYElements(header, function() {
+    return parseFloat(values[index++]);
+  });
+}
+
+MDN.readPLYBinary = function (buffer, header) {
+
+  var view = new DataView(buffer);
+  var littleEndian = header.format === "binary_little_endian";
+  var offset = header.offset;
+
+  return MDN.readPLYElements(header, function(type) {
+    var info = MDN.plyTypes[type];
+    if( !info ) {
+      throw new Error("Unknown PLY property type \"" + type + "\"");
+    }
+    var value = view[info.method](offset, littleEndian);
+    offset += info.size;
+    return value;
+  });
+}
+
+MDN.readPLYElements = function (header, readValue) {
+
+  // Walk through every element in the order of the header, keeping the
+  // vertices and faces. readValue(type) returns the next number in the file.
+
+  var positions = [];
+  var normals = [];
+  var elements = [];
+
+  function isVertexIndices(property) {
+    return property.name === "vertex_indices" || property.name === "vertex_index";
+  }
+
+  // Count the vertices up front to check the faces against, in case they come first
+  var vertexCount = 0;
+  header.elements.forEach(function(element) {
+    if( element.name === "vertex" ) {
+      vertexCount += element.count;
+    }
+  });
+
+  header.elements.forEach(function(element) {
+
+    if( element.name === "face" && !element.properties.some(isVertexIndices) ) {
+      throw new Error("The PLY face element has no \"vertex_indices\" property");
+    }
+
+    for( var i=0; i < element.count; i++ ) {
+
+      var vertex = {};
+
+      element.properties.forEach(function(property) {
+
+        if( property.countType ) {
+          var count = readValue(property.countType);
+          var list = [];
+          for( var j=0; j < count; j++ ) {
+            list.push(readValue(property.type));
+          }
+          vertex[property.name] = list;
+        } else {
+          vertex[property.name] = readValue(property.type);
+        }
+      });
+
+      if( element.name === "vertex" ) {
+        positions.push(vertex.x, vertex.y, vertex.z);
+        if( vertex.nx !== undefined ) {
+          normals.push(vertex.nx, vertex.ny, vertex.nz);
+        }
+      } else if( element.name === "face" ) {
+        var indices = vertex.vertex_indices || vertex.vertex_index;
+
+        indices.forEach(function(index) {
+          if( index < 0 || index >= vertexCount ) {
+            throw new Error("PLY face " + i + " refers to vertex " + index + ", but there are only " + vertexCount + " vertices");
+          }
+        });
+
+        // Split polygons with more than 3 corners into a fan of triangles
+        for( var k=2; k < indices.length; k++ ) {
+          elements.push(indices[0], indices[k - 1], indices[k]);
+        }
+      }
+    }
+  });
+
+  return {
+    positions : positions,
+    elements  : elements,
+    normals   : normals.length === positions.length ? normals : null
+  };
+}
+
+MDN.createModel = function (positions, elements, vertexNormals) {
+
+  // Put the model into the same typed arrays that MDN.bunnyModel uses,
+  // computing any normals that the file didn't have, see /shared/normals.js
+
+  var vertexCount = positions.length / 3;
+
+  var model = {
+    positions : new Float32Array(positions),
+    elements  : vertexCount > MDN.MAX_SHORT_VERTICES ? new Uint32Array(elements) : new Uint16Array(elements)
+  };
+
+  model.faceNormals = MDN.computeFaceNormals(model.positions, model.elements);
+  model.vertexNormals = vertexNormals ?
+    new Float32Array(vertexNormals) :
+    MDN.computeVertexNormals(model.positions, model.elements);
+
+  return model;
+}
+
+MDN.computeBounds = function (positions) {
+
+  // Find the box around the model, and the sphere that fits around that box
+
+  var min = [Infinity, Infinity, Infinity];
+  var max = [-Infinity, -Infinity, -Infinity];
+
+  for( var i=0; i < positions.length; i += 3 ) {
+    for( var j=0; j < 3; j++ ) {
+      min[j] = Math.min(min[j], positions[i + j]);
+      max[j] = Math.max(max[j], positions[i + j]);
+    }
+  }
+
+  var center = [
+    (min[0] + max[0]) / 2,
+    (min[1] + max[1]) / 2,
+    (min[2] + max[2]) / 2
+  ];
+
+  return {
+    min    : min,
+    max    : max,
+    center : center,
+    radius : MDN.length(MDN.subtract(max, center))
+  };
+}
+
+MDN.fitModelToBounds = function (model, bounds) {
+
+  /*
+    Models come in all sizes. Move and scale a copy of the positions so that
+    the model fills the same space as the given bounds, like the bounds of the
+    bunny. The normals don't change as the scale is the same on every axis.
+  */
+
+  var modelBounds = MDN.computeBounds(model.positions);
+  var scale = bounds.radius / (modelBounds.radius || 1);
+  var positions = new Float32Array(model.positions.length);
+
+  for( var i=0; i < positions.length; i += 3 ) {
+    for( var j=0; j < 3; j++ ) {
+      positions[i + j] = (model.positions[i + j] - modelBounds.center[j]) * scale + bounds.center[j];
+    }
+  }
+
+  return {
+    positions     : positions,
+    elements      : model.elements,
+    vertexNormals : model.vertexNormals,
+    faceNormals   : model.faceNormals
+  };
+}
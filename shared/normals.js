@@ -0,0 +1,293 @@
+/**
+ * Compute normals for any indexed triangle mesh, given its positions
+ * (x, y, z for each vertex) and elements (3 indices for each triangle).
+ * These only work on arrays, so they don't need a WebGL context.
+ *
+ *   var cube = MDN.createCubeData();
+ *   var faceNormals = MDN.computeFaceNormals(cube.positions, cube.elements);
+ *   var vertexNormals = MDN.computeVertexNormals(cube.positions, cube.elements);
+ *
+ *   // Keep the hard edges of a model whose faces share vertices, like one
+ *   // loaded from a file, while smoothing the rest
+ *   var mesh = MDN.splitByCreaseAngle(model.positions, model.elements, Math.PI / 4);
+ **/
+
+var MDN = MDN || {};
+
+MDN.triangleNormal = function (positions, a, b, c, out) {
+
+  /*
+    Take the cross product of two of the triangle's edges. The result is
+    perpendicular to the triangle, and its length is twice the area of the
+    triangle. It is not normalized, so bigger triangles give longer vectors.
+  */
+
+  a *= 3; b *= 3; c *= 3;
+
+  var abx = positions[b]     - positions[a],
+      aby = positions[b + 1] - positions[a + 1],
+      abz = positions[b + 2] - positions[a + 2],
+      acx = positions[c]     - positions[a],
+      acy = positions[c + 1] - positions[a + 1],
+      acz = positions[c + 2] - positions[a + 2];
+
+  out[0] = aby * acz - abz * acy;
+  out[1] = abz * acx - abx * acz;
+  out[2] = abx * acy - aby * acx;
+
+  return out;
+}
+
+MDN.cornerAngle = function (positions, corner, a, b) {
+
+  // The angle of the triangle at the corner, between the edges to a and b
+
+  corner *= 3; a *= 3; b *= 3;
+
+  var ax = positions[a]     - positions[corner],
+      ay = positions[a + 1] - positions[corner + 1],
+      az = positions[a + 2] - positions[corner + 2],
+      bx = positions[b]     - positions[corner],
+      by = positions[b + 1] - positions[corner + 1],
+      bz = positions[b + 2] - positions[corner + 2];
+
+  var lengths = Math.sqrt(ax * ax + ay * ay + az * az) * Math.sqrt(bx * bx + by * by + bz * bz);
+
+  if( lengths === 0 ) {
+    return 0;
+  }
+
+  return Math.acos(Math.max(-1, Math.min(1, (ax * bx + ay * by + az * bz) / lengths)));
+}
+
+MDN.normalizeNormals = function (normals) {
+
+  // Normalize every x, y, z in place, leaving zero length vectors at 0
+
+  for( var i=0; i < normals.length; i += 3 ) {
+    var x = normals[i], y = normals[i + 1], z = normals[i + 2];
+    var length = Math.sqrt(x * x + y * y + z * z);
+    if( length > 0 ) {
+      normals[i]     = x / length;
+      normals[i + 1] = y / length;
+      normals[i + 2] = z / length;
+    }
+  }
+
+  return normals;
+}
+
+MDN.computeFaceNormals = function (positions, elements) {
+
+  // One normal for each triangle, so flat shaded triangles have no smoothing
+
+  var faceNormals = new Float32Array(elements.length);
+  var normal = [0, 0, 0];
+
+  for( var i=0; i < elements.length; i += 3 ) {
+    MDN.triangleNormal(positions, elements[i], elements[i + 1], elements[i + 2], normal);
+    faceNormals[i]     = normal[0];
+    faceNormals[i + 1] = normal[1];
+    faceNormals[i + 2] = normal[2];
+  }
+
+  return MDN.normalizeNormals(faceNormals);
+}
+
+MDN.faceWeights = {
+
+  /*
+    When averaging the triangles around a vertex, a triangle's normal can be
+    weighted in different ways. These take the unnormalized triangle normal and
+    the angle at the vertex, and return how much the triangle counts.
+  */
+
+  // Every triangle counts the same, no matter its size or shape
+  none : function( normalLength, angle ) {
+    return 1 / (normalLength || 1);
+  },
+
+  // Bigger triangles count more. The cross product is already scaled by the area.
+  area : function( normalLength, angle ) {
+    return 1;
+  },
+
+  // Triangles count by how wide their corner is at the vertex. This is
+  // the least affected by how the surface happens to be split into triangles.
+  angle : function( normalLength, angle ) {
+    return angle / (normalLength || 1);
+  }
+};
+
+MDN.computeVertexNormals = function (positions, elements, weighting) {
+
+  /*
+    Average the normals of all of the triangles that share a vertex. The
+    shader then smooths these between the vertices for a smooth surface.
+    The weighting is "area" (the default), "angle" or "none".
+  */
+
+  var weigh = MDN.faceWeights[weighting || "area"];
+  var vertexNormals = new Float32Array(positions.length);
+  var normal = [0, 0, 0];
+
+  for( var i=0; i < elements.length; i += 3 ) {
+
+    MDN.triangleNormal(positions, elements[i], elements[i + 1], elements[i + 2], normal);
+    var normalLength = MDN.length(normal);
+
+    for( var corner=0; corner < 3; corner++ ) {
+
+      var vertex = elements[i + corner];
+      var angle = weighting === "angle" ?
+        MDN.cornerAngle(positions, vertex, elements[i + (corner + 1) % 3], elements[i + (corner + 2) % 3]) :
+        0;
+      var weight = weigh(normalLength, angle);
+
+      vertexNormals[vertex * 3]     += normal[0] * weight;
+      vertexNormals[vertex * 3 + 1] += normal[1] * weight;
+      vertexNormals[vertex * 3 + 2] += normal[2] * weight;
+    }
+  }
+
+  return MDN.normalizeNormals(vertexNormals);
+}
+
+MDN.splitByCreaseAngle = function (positions, elements, creaseAngle, weighting) {
+
+  /*
+    Smooth vertex normals make hard edges, like the corners of a cube, look
+    mushy. A crease angle keeps the edges sharp. At each corner of a triangle
+    only the neighboring triangles that face within the crease angle of it
+    are averaged together. Corners that end up with different normals need
+    their own vertex, so some of the vertices get split apart.
+
+    Returns a new mesh { positions, elements, vertexNormals, faceNormals }.
+  */
+
+  var weigh = MDN.faceWeights[weighting || "area"];
+  var vertexCount = positions.length / 3;
+  var triangleCount = elements.length / 3;
+  var minimumDot = Math.cos(creaseAngle);
+
+  var faceNormals = MDN.computeFaceNormals(positions, elements);
+
+  // Weighted, unnormalized normals for each corner of each triangle
+  var cornerNormals = new Float32Array(elements.length * 3);
+  var normal = [0, 0, 0];
+
+  for( var t=0; t < triangleCount; t++ ) {
+    MDN.triangleNormal(positions, elements[t * 3], elements[t * 3 + 1], elements[t * 3 + 2], normal);
+    var normalLength = MDN.length(normal);
+
+    for( var c=0; c < 3; c++ ) {
+      var angle = weighting === "angle" ? MDN.cornerAngle(
+        positions, elements[t * 3 + c], elements[t * 3 + (c + 1) % 3], elements[t * 3 + (c + 2) % 3]
+      ) : 0;
+      var weight = weigh(normalLength, angle);
+      cornerNormals[(t * 3 + c) * 3]     = normal[0] * weight;
+      cornerNormals[(t * 3 + c) * 3 + 1] = normal[1] * weight;
+      cornerNormals[(t * 3 + c) * 3 + 2] = normal[2] * weight;
+    }
+  }
+
+  // List the corners that touch each vertex
+  var cornersOfVertex = [];
+  for( var v=0; v < vertexCount; v++ ) {
+    cornersOfVertex.push([]);
+  }
+  for( var i=0; i < elements.length; i++ ) {
+    cornersOfVertex[elements[i]].push(i);
+  }
+
+  var newPositions = [];
+  var newNormals = [];
+  var newElements = new Array(elements.length);
+
+  for( v=0; v < vertexCount; v++ ) {
+
+    var corners = cornersOfVertex[v];
+    var vertexForGroup = {};
+
+    for( var j=0; j < corners.length; j++ ) {
+
+      var face = Math.floor(corners[j] / 3);
+      var group = [];
+      var sum = [0, 0, 0];
+
+      // Gather the neighboring corners that are within the crease angle
+      for( var k=0; k < corners.length; k++ ) {
+        var otherCorner = corners[k];
+        var otherFace = Math.floor(otherCorner / 3);
+        var dot = faceNormals[face * 3]     * faceNormals[otherFace * 3] +
+                  faceNormals[face * 3 + 1] * faceNormals[otherFace * 3 + 1] +
+                  faceNormals[face * 3 + 2] * faceNormals[otherFace * 3 + 2];
+
+        if( dot >= minimumDot ) {
+          group.push(k);
+          sum[0] += cornerNormals[otherCorner * 3];
+          sum[1] += cornerNormals[otherCorner * 3 + 1];
+          sum[2] += cornerNormals[otherCorner * 3 + 2];
+        }
+      }
+
+      // Corners that gathered the same neighbors can share a vertex
+      var key = group.join(",");
+
+      if( vertexForGroup[key] === undefined ) {
+        vertexForGroup[key] = newPositions.length / 3;
+        newPositions.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+        newNormals.push(sum[0], sum[1], sum[2]);
+      }
+
+      newElements[corners[j]] = vertexForGroup[key];
+    }
+  }
+
+  return {
+    positions     : new Float32Array(newPositions),
+    elements      : newPositions.length / 3 > MDN.MAX_SHORT_VERTICES ? new Uint32Array(newElements) : new Uint16Array(newElements),
+    vertexNormals : MDN.normalizeNormals(new Float32Array(newNormals)),
+    faceNormals   : faceNormals
+  };
+}
+
+MDN.createFlatModel = function (model) {
+
+  /*
+    Flat shading needs each triangle to have its own normal. A vertex can only
+    have one normal, so the triangles can no longer share vertices. Copy out
+    every corner of every triangle as its own vertex, each one with the normal
+    of its triangle. This takes more memory, but each triangle gets shaded flat.
+  */
+
+  var elements = model.elements;
+  var faceNormals = model.faceNormals || MDN.computeFaceNormals(model.positions, elements);
+
+  var positions = new Float32Array(elements.length * 3);
+  var vertexNormals = new Float32Array(elements.length * 3);
+  var flatElements = elements.length > MDN.MAX_SHORT_VERTICES ? new Uint32Array(elements.length) : new Uint16Array(elements.length);
+
+  for( var i=0; i < elements.length; i++ ) {
+
+    var vertex = elements[i] * 3;
+    var face = Math.floor(i / 3) * 3;
+
+    positions[i * 3]     = model.positions[vertex];
+    positions[i * 3 + 1] = model.positions[vertex + 1];
+    positions[i * 3 + 2] = model.positions[vertex + 2];
+
+    vertexNormals[i * 3]     = faceNormals[face];
+    vertexNormals[i * 3 + 1] = faceNormals[face + 1];
+    vertexNormals[i * 3 + 2] = faceNormals[face + 2];
+
+    flatElements[i] = i;
+  }
+
+  return {
+    positions     : positions,
+    elements      : flatElements,
+    vertexNormals : vertexNormals,
+    faceNormals   : faceNormals
+  };
+}
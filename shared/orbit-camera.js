@@ -0,0 +1,147 @@
+/**
+ * An orbit camera that circles around a target point. Drag with the mouse or
+ * a finger to rotate around the target, and use the mouse wheel or a pinch to
+ * move closer or further away.
+ *
+ *   var camera = new MDN.OrbitCamera(canvas, {
+ *     target   : [0, 5, 0],
+ *     distance : 10
+ *   });
+ *
+ *   camera.update();
+ *   camera.view     // The view matrix, ready to send to the GPU
+ *   camera.position // The position of the camera in world space
+ **/
+
+var MDN = MDN || {};
+
+MDN.OrbitCamera = function (element, options) {
+
+  options = options || {};
+
+  // The point the camera is looking at and rotating around
+  this.target = options.target || [0, 0, 0];
+
+  // The angles in radians around the Y axis (yaw) and up and down (pitch)
+  this.yaw = options.yaw || 0;
+  this.pitch = options.pitch || 0;
+
+  // How far the camera is away from the target
+  this.distance = options.distance || 10;
+
+  // Limits to keep the camera from flipping over or going through the target
+  this.minPitch = options.minPitch === undefined ? -Math.PI * 0.49 : options.minPitch;
+  this.maxPitch = options.maxPitch === undefined ?  Math.PI * 0.49 : options.maxPitch;
+  this.minDistance = options.minDistance || 2;
+  this.maxDistance = options.maxDistance || 100;
+
+  // How fast the input moves the camera
+  this.rotateSpeed = options.rotateSpeed || 0.005; // radians per pixel
+  this.zoomSpeed = options.zoomSpeed || 0.001;     // ratio per unit of wheel delta
+
+  this.up = [0, 1, 0];
+  this.position = [0, 0, 0];
+  this.view = new Float32Array(16);
+
+  this.update();
+
+  if( element ) {
+    this.addEventListeners(element);
+  }
+}
+
+MDN.OrbitCamera.prototype.update = function() {
+
+  this.pitch = Math.min(this.maxPitch, Math.max(this.minPitch, this.pitch));
+  this.distance = Math.min(this.maxDistance, Math.max(this.minDistance, this.distance));
+
+  // Find the position of the camera on a sphere around the target
+  var horizontalDistance = Math.cos(this.pitch) * this.distance;
+
+  this.position[0] = this.target[0] + Math.sin(this.yaw) * horizontalDistance;
+  this.position[1] = this.target[1] + Math.sin(this.pitch) * this.distance;
+  this.position[2] = this.target[2] + Math.cos(this.yaw) * horizontalDistance;
+
+  // Point the camera back at the target
+  MDN.lookAtMatrix(this.position, this.target, this.up, this.view);
+};
+
+MDN.OrbitCamera.prototype.rotate = function( deltaX, deltaY ) {
+
+  this.yaw += deltaX * this.rotateSpeed;
+  this.pitch += deltaY * this.rotateSpeed;
+  this.update();
+};
+
+MDN.OrbitCamera.prototype.zoom = function( ratio ) {
+
+  this.distance *= ratio;
+  this.update();
+};
+
+MDN.OrbitCamera.prototype.addEventListeners = function( element ) {
+
+  var camera = this;
+  var previousX, previousY, previousPinch;
+
+  function pinchDistance(touches) {
+    var x = touches[0].clientX - touches[1].clientX;
+    var y = touches[0].clientY - touches[1].clientY;
+    return Math.sqrt(x * x + y * y);
+  }
+
+  function onMouseMove(event) {
+    camera.rotate(previousX - event.clientX, previousY - event.clientY);
+    previousX = event.clientX;
+    previousY = event.clientY;
+  }
+
+  function onMouseUp() {
+    window.removeEventListener("mousemove", onMouseMove, false);
+    window.removeEventListener("mouseup", onMouseUp, false);
+  }
+
+  element.addEventListener("mousedown", function(event) {
+    previousX = event.clientX;
+    previousY = event.clientY;
+
+    // Listen on the window so that dragging off of the canvas keeps working
+    window.addEventListener("mousemove", onMouseMove, false);
+    window.addEventListener("mouseup", onMouseUp, false);
+    event.preventDefault();
+  }, false);
+
+  element.addEventListener("wheel", function(event) {
+    camera.zoom(1 + event.deltaY * camera.zoomSpeed);
+    event.preventDefault();
+  }, false);
+
+  element.addEventListener("touchstart", function(event) {
+    if( event.touches.length === 1 ) {
+      previousX = event.touches[0].clientX;
+      previousY = event.touches[0].clientY;
+    } else if( event.touches.length === 2 ) {
+      previousPinch = pinchDistance(event.touches);
+    }
+    event.preventDefault();
+  }, false);
+
+  element.addEventListener("touchmove", function(event) {
+    if( event.touches.length === 1 ) {
+      onMouseMove(event.touches[0]);
+    } else if( event.touches.length === 2 ) {
+      var pinch = pinchDistance(event.touches);
+      camera.zoom(previousPinch / pinch);
+      previousPinch = pinch;
+    }
+    event.preventDefault();
+  }, false);
+
+  element.addEventListener("touchend", function(event) {
+    // Pick back up with the remaining finger without jumping
+    if( event.touches.length === 1 ) {
+      previousX = event.touches[0].clientX;
+      previousY = event.touches[0].clientY;
+    }
+  }, false);
+};
@@ -0,0 +1,37 @@
+var MDN = MDN || {};
+
+MDN.createPlaneData = function( size ) {
+  
+  /*
+    A flat square lying on the ground, centered on the origin and facing up.
+    It's in the same shape as MDN.bunnyModel, so it can be drawn with
+    MDN.createMeshBuffers() and MDN.drawMesh() from /shared/mesh.js
+  */
+  
+  var half = (size || 1) / 2;
+  
+  var positions = [
+    -half, 0.0,  half,
+     half, 0.0,  half,
+     half, 0.0, -half,
+    -half, 0.0, -half
+  ];
+  
+  var vertexNormals = [
+    0.0, 1.0, 0.0,
+    0.0, 1.0, 0.0,
+    0.0, 1.0, 0.0,
+    0.0, 1.0, 0.0
+  ];
+  
+  var elements = [
+    0, 1, 2,
+    0, 2, 3
+  ];
+  
+  return {
+    positions     : new Float32Array(positions),
+    vertexNormals : new Float32Array(vertexNormals),
+    elements      : new Uint16Array(elements)
+  };
+}
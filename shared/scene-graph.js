@@ -0,0 +1,131 @@
+/**
+ * A small scene graph for drawing more than one thing. Each node has a local
+ * transform that places it relative to its parent. Moving a parent moves all of
+ * its children along with it, like a table carrying the cups on top of it.
+ *
+ *   var scene = new MDN.SceneNode();
+ *
+ *   var table = scene.add(new MDN.SceneNode({
+ *     mesh     : MDN.createMeshBuffers(gl, tableModel),
+ *     material : new MDN.Material({ color: { type: "color", value: [0.6, 0.4, 0.2, 1.0] } })
+ *   }));
+ *
+ *   var cup = table.add(new MDN.SceneNode({ mesh: cupBuffers }));
+ *   MDN.translateMatrix(0, 2, 0, cup.local);
+ *
+ *   // Each frame, update the world transforms and then draw every node
+ *   scene.updateWorld();
+ *   scene.traverse(function(node) {
+ *     if( node.mesh ) { ... draw node.mesh using node.world ... }
+ *   });
+ **/
+
+var MDN = MDN || {};
+
+MDN.SceneNode = function (options) {
+  
+  options = options || {};
+  
+  // A name to find the node by, handy for debugging
+  this.name = options.name || "";
+  
+  // The transform relative to the parent, this is the one to change
+  this.local = MDN.identityMatrix(new Float32Array(16));
+  if( options.local ) {
+    this.local.set(options.local);
+  }
+  
+  // The transform relative to the world, computed by updateWorld()
+  this.world = MDN.identityMatrix(new Float32Array(16));
+  
+  // The normal matrix for the world transform, see MDN.normalMatrix()
+  this.normalMatrix = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  
+  // Nodes without a mesh only group and move their children
+  this.mesh = options.mesh || null;
+  
+  // What the node is made of, like its color, see /shared/material.js
+  this.material = options.material || null;
+  
+  this.parent = null;
+  this.children = [];
+}
+
+MDN.SceneNode.prototype.add = function( child ) {
+  
+  // A node can only have one parent
+  if( child.parent ) {
+    child.parent.remove(child);
+  }
+  
+  child.parent = this;
+  this.children.push(child);
+  
+  return child;
+};
+
+MDN.SceneNode.prototype.remove = function( child ) {
+  
+  var index = this.children.indexOf(child);
+  
+  if( index >= 0 ) {
+    this.children.splice(index, 1);
+    child.parent = null;
+  }
+  
+  return child;
+};
+
+MDN.SceneNode.prototype.updateWorld = function( parentWorld ) {
+  
+  /*
+    The world transform is the parent's world transform multiplied by the local
+    transform. Going down the tree, every node ends up with all of its parents'
+    transforms multiplied together:
+  
+      world = root.local * ... * parent.local * node.local
+  */
+  
+  if( parentWorld ) {
+    MDN.multiplyArrayOfMatrices([parentWorld, this.local], this.world);
+  } else {
+    this.world.set(this.local);
+  }
+  
+  for( var i=0; i < this.children.length; i++ ) {
+    this.children[i].updateWorld(this.world);
+  }
+};
+
+MDN.SceneNode.prototype.updateNormalMatrix = function() {
+  
+  // This throws an MDN.NonInvertibleMatrixError for a node that is scaled to nothing
+  MDN.normalMatrix(this.world, this.normalMatrix);
+};
+
+MDN.SceneNode.prototype.traverse = function( callback ) {
+  
+  // Call the callback on this node, and then on all of its children
+  
+  callback(this);
+  
+  for( var i=0; i < this.children.length; i++ ) {
+    this.children[i].traverse(callback);
+  }
+};
+
+MDN.SceneNode.prototype.find = function( name ) {
+  
+  if( this.name === name ) {
+    return this;
+  }
+  
+  for( var i=0; i < this.children.length; i++ ) {
+    var found = this.children[i].find(name);
+    if( found ) {
+      return found;
+    }
+  }
+  
+  return null;
+};
@@ -0,0 +1,156 @@
+/**
+ * A panel for editing a lesson's shaders right in the page, to work through
+ * the exercises without leaving the browser. Pick a shader script, change its
+ * source, and apply it to see the change straight away. The style is in
+ * /shared/style.css
+ *
+ *   var editor = new MDN.ShaderEditor(bunnyDemo, bunnyDemo.originalShaderSources);
+ *
+ * Applying rebuilds the programs with MDN.BunnyDemo.prototype.setShaderSources().
+ * If the source doesn't compile, the error is shown under the editor and the
+ * lesson keeps drawing with the last shaders that worked. Reset puts the
+ * script back to how it was when the page loaded.
+ *
+ * Press Ctrl+Enter (or Cmd+Enter) in the editor to apply.
+ **/
+
+var MDN = MDN || {};
+
+MDN.ShaderEditor = function (demo, originals) {
+
+  this.demo = demo;
+
+  // The source of each script when the page loaded, for resetting it. The
+  // editor is only created once it's opened, when the scripts might have
+  // been changed already, so the demo keeps them from when it started.
+  this.originals = originals;
+
+  // Skip the copies of the shared files that are only there to be included,
+  // see /shared/shader-loader.js. Editing them wouldn't change anything.
+  this.ids = Object.keys(this.originals).filter(function(id) {
+    return document.getElementById(id).getAttribute("type") !== "x-shader/x-include";
+  });
+
+  // Changes that haven't been applied yet, kept while looking at other scripts
+  this.drafts = {};
+
+  this.createElements();
+
+  // Start with the fragment shader, as that's where most of the lighting is
+  this.show(this.ids.indexOf("fragment-shader") !== -1 ? "fragment-shader" : this.ids[0]);
+}
+
+MDN.ShaderEditor.prototype.createElements = function() {
+
+  var editor = this;
+
+  this.domElement = document.createElement("div");
+  this.domElement.className = "shader-editor";
+
+  // Pick which shader script to edit
+  this.select = document.createElement("select");
+  this.ids.forEach(function(id) {
+    var option = document.createElement("option");
+    option.value = id;
+    option.textContent = id;
+    editor.select.appendChild(option);
+  });
+  this.select.addEventListener("change", function() {
+    editor.show(editor.select.value);
+  }, false);
+
+  this.textarea = document.createElement("textarea");
+  this.textarea.spellcheck = false;
+  this.textarea.addEventListener("keydown", function(event) {
+    if( event.key === "Enter" && (event.ctrlKey || event.metaKey) ) {
+      event.preventDefault();
+      editor.apply();
+    }
+  }, false);
+
+  this.error = document.createElement("pre");
+  this.error.className = "shader-editor-error";
+  this.showError("");
+
+  var buttons = document.createElement("div");
+  buttons.className = "shader-editor-buttons";
+  buttons.appendChild(this.createButton("Apply", this.apply));
+  buttons.appendChild(this.createButton("Reset", this.reset));
+  buttons.appendChild(this.createButton("Close", this.close));
+
+  this.domElement.appendChild(this.select);
+  this.domElement.appendChild(this.textarea);
+  this.domElement.appendChild(this.error);
+  this.domElement.appendChild(buttons);
+
+  document.body.appendChild(this.domElement);
+};
+
+MDN.ShaderEditor.prototype.createButton = function( label, action ) {
+
+  var button = document.createElement("button");
+  button.textContent = label;
+  button.addEventListener("click", action.bind(this), false);
+  return button;
+};
+
+MDN.ShaderEditor.prototype.show = function( id ) {
+
+  // Hold on to the changes to the script that was being edited
+  if( this.id && this.textarea.value !== document.getElementById(this.id).text ) {
+    this.drafts[this.id] = this.textarea.value;
+  }
+
+  this.id = id;
+  this.select.value = id;
+  this.textarea.value = this.drafts.hasOwnProperty(id) ? this.drafts[id] : document.getElementById(id).text;
+};
+
+MDN.ShaderEditor.prototype.apply = function() {
+
+  var sources = {};
+  sources[this.id] = this.textarea.value;
+
+  try {
+    this.demo.setShaderSources(sources);
+  } catch( error ) {
+    this.showError(error.message);
+    return false;
+  }
+
+  delete this.drafts[this.id];
+  this.showError("");
+  return true;
+};
+
+MDN.ShaderEditor.prototype.reset = function() {
+
+  delete this.drafts[this.id];
+  this.textarea.value = this.originals[this.id];
+  this.apply();
+};
+
+MDN.ShaderEditor.prototype.showError = function( message ) {
+
+  this.error.textContent = message;
+  this.error.style.display = message ? "" : "none";
+};
+
+MDN.ShaderEditor.prototype.open = function() {
+
+  this.domElement.style.display = "";
+};
+
+MDN.ShaderEditor.prototype.close = function() {
+
+  this.domElement.style.display = "none";
+};
+
+MDN.ShaderEditor.prototype.toggle = function() {
+
+  if( this.domElement.style.display === "none" ) {
+    this.open();
+  } else {
+    this.close();
+  }
+};
@@ -0,0 +1,283 @@
+/**
+ * Shader code that is shared between lessons lives in its own .glsl file in
+ * /shared/glsl, rather than being copied into every index.html. A shader
+ * script can point to a file with a src attribute, and any shader can pull in
+ * a file with an #include directive:
+ *
+ *   <script id="shadows" type="x-shader/x-fragment" src="../../shared/glsl/shadows.glsl"></script>
+ *
+ *   <script id="fragment-shader" type="x-shader/x-fragment">
+ *     #include "../../shared/glsl/lights.glsl"
+ *     ...
+ *   </script>
+ *
+ * The browser won't load a script with a type it doesn't know, so the lesson
+ * loads them before it starts. Afterwards the scripts have their source in
+ * them, and work like any other shader script with MDN.createWebGLProgramFromIds():
+ *
+ *   MDN.loadShaderScripts(function( error ) {
+ *     ...
+ *   });
+ *
+ * Includes in a .glsl file are relative to that file, and includes in a script
+ * are relative to the page.
+ *
+ * Browsers don't allow loading files from pages opened straight from the disk.
+ * So a page can keep a copy of each file it uses, in a shader script with the
+ * same src, and the copy is used when the file can't be loaded:
+ *
+ *   <script id="lights" type="x-shader/x-include" src="../../shared/glsl/lights.glsl">
+ *     ...the contents of lights.glsl...
+ *   </script>
+ **/
+
+var MDN = MDN || {};
+
+MDN.loadShaderScripts = function (callback) {
+
+  // Load every shader script in the page, then call callback(error)
+
+  MDN.loadScriptSources(MDN.getShaderScripts(document), function(error, sources) {
+    if( error ) {
+      callback(error);
+      return;
+    }
+    MDN.getShaderScripts(document).forEach(function(script) {
+      script.text = sources[script.id];
+    });
+    callback(null);
+  });
+}
+
+MDN.loadShaderSources = function (callback) {
+
+  /*
+    Load the shader scripts fresh from the server, rather than from the page
+    as it was first loaded. This is how shaders can be reloaded after they are
+    edited, see MDN.BunnyDemo.prototype.watchForShaderChanges(). Calls
+    callback(error, sources) with the source of each script by its id.
+  */
+
+  var request = new XMLHttpRequest();
+
+  // Don't let the browser answer with the page it already has
+  request.open("GET", window.location.pathname + "?reload=" + Date.now(), true);
+
+  request.onload = function() {
+    if( request.status >= 400 ) {
+      callback(new Error("Could not reload the page's shaders, the status was " + request.status));
+      return;
+    }
+    var page = new DOMParser().parseFromString(request.responseText, "text/html");
+    MDN.loadScriptSources(MDN.getShaderScripts(page), callback);
+  };
+
+  request.onerror = function() {
+    callback(new Error("Could not reload the page's shaders"));
+  };
+
+  request.send();
+}
+
+MDN.getShaderScripts = function (page) {
+
+  return Array.prototype.filter.call(page.querySelectorAll("script"), function(script) {
+    return /^x-shader\//.test(script.getAttribute("type"));
+  });
+}
+
+MDN.getShaderScriptSources = function () {
+
+  // The source of each shader script currently in the page, by its id
+
+  var sources = {};
+
+  MDN.getShaderScripts(document).forEach(function(script) {
+    sources[script.id] = script.text;
+  });
+
+  return sources;
+}
+
+MDN.loadScriptSources = function (scripts, callback) {
+
+  // Load the files and includes of the scripts, then call callback(error, sources)
+
+  var sources = {};
+  var remaining = scripts.length;
+  var failed = false;
+
+  if( remaining === 0 ) {
+    callback(null, sources);
+    return;
+  }
+
+  scripts.forEach(function(script) {
+
+    function done(error, source) {
+      if( failed ) {
+        return;
+      }
+      if( error ) {
+        failed = true;
+        callback(error);
+        return;
+      }
+      sources[script.id] = source;
+      remaining--;
+      if( remaining === 0 ) {
+        callback(null, sources);
+      }
+    }
+
+    var src = script.getAttribute("src");
+
+    if( src ) {
+      MDN.loadShaderFile(src, done);
+    } else {
+      MDN.resolveIncludes(script.text, "", done);
+    }
+  });
+}
+
+MDN.loadShaderFile = function (url, callback, parents) {
+
+  // Fetch a .glsl file along with everything it includes, then call callback(error, source)
+
+  var request = new XMLHttpRequest();
+  request.open("GET", url, true);
+
+  // Always ask the server, so that edited files are picked up
+  request.setRequestHeader("Cache-Control", "no-cache");
+
+  function useCopyInstead() {
+    var copy = MDN.findShaderCopy(url);
+    if( copy === null ) {
+      callback(new Error("Could not load the shader " + url + ", and the page has no copy of it"));
+      return;
+    }
+    MDN.resolveIncludes(copy, url, callback, (parents || []).concat(url));
+  }
+
+  request.onload = function() {
+    if( request.status >= 400 ) {
+      callback(new Error("Could not load the shader " + url + ", the status was " + request.status));
+      return;
+    }
+    // Some browsers "load" files from the disk without giving their contents
+    if( request.status === 0 && !request.responseText ) {
+      useCopyInstead();
+      return;
+    }
+    MDN.resolveIncludes(request.responseText, url, callback, (parents || []).concat(url));
+  };
+
+  // Others refuse to load them at all
+  request.onerror = useCopyInstead;
+
+  request.send();
+}
+
+MDN.findShaderCopy = function (url) {
+
+  // The source of a shader script in the page with the url as its src, or null
+
+  var copies = MDN.getShaderScripts(document).filter(function(script) {
+    var src = script.getAttribute("src");
+    return src && MDN.resolveShaderUrl(src, "") === url && script.text.trim() !== "";
+  });
+
+  return copies.length > 0 ? copies[0].text : null;
+}
+
+MDN.resolveIncludes = function (source, url, callback, parents) {
+
+  /*
+    Replace every line like #include "lights.glsl" with the contents of the
+    file. The url is the file the source came from, so that the includes can
+    be found relative to it. The parents are the files that are already being
+    included, to catch a file that ends up including itself.
+  */
+
+  parents = parents || [];
+
+  var pattern = /^[ \t]*#include[ \t]+"([^"]+)"[ \t]*$/gm;
+  var includes = [];
+  var match;
+
+  while( (match = pattern.exec(source)) ) {
+    includes.push({
+      line : match[0],
+      url  : MDN.resolveShaderUrl(match[1], url)
+    });
+  }
+
+  var remaining = includes.length;
+  var failed = false;
+
+  if( remaining === 0 ) {
+    callback(null, source);
+    return;
+  }
+
+  includes.forEach(function(include) {
+
+    if( failed ) {
+      return;
+    }
+    if( parents.indexOf(include.url) !== -1 ) {
+      failed = true;
+      callback(new Error("The shader " + include.url + " ends up including itself, from " + parents.join(" > ")));
+      return;
+    }
+
+    MDN.loadShaderFile(include.url, function(error, includeSource) {
+
+      if( failed ) {
+        return;
+      }
+      if( error ) {
+        failed = true;
+        callback(error);
+        return;
+      }
+
+      // Use a function so that any $ in the shader isn't treated as a pattern
+      source = source.replace(include.line, function() {
+        return includeSource;
+      });
+
+      remaining--;
+      if( remaining === 0 ) {
+        callback(null, source);
+      }
+    }, parents);
+  });
+}
+
+MDN.resolveShaderUrl = function (path, url) {
+
+  // Find the path relative to the folder of the url, and tidy up any ../
+
+  if( /^([a-z]+:)?\//i.test(path) ) {
+    return path;
+  }
+
+  var parts = (url.replace(/[^\/]*$/, "") + path).split("/");
+  var resolved = [];
+
+  parts.forEach(function(part) {
+    var last = resolved[resolved.length - 1];
+
+    if( part === "." ) {
+      return;
+    }
+    if( part === ".." && resolved.length > 0 && last !== ".." && last !== "" ) {
+      resolved.pop();
+      return;
+    }
+    resolved.push(part);
+  });
+
+  return resolved.join("/");
+}
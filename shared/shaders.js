@@ -8,6 +8,22 @@
 
 var MDN = MDN || {};
 
+MDN.ShaderError = function (message, stage, log, source) {
+  
+  // Thrown when a shader doesn't compile or a program doesn't link. The stage
+  // is either "vertex", "fragment" or "link".
+  
+  this.name = "ShaderError";
+  this.message = message;
+  this.stage = stage;
+  this.log = log;
+  this.source = source;
+  this.stack = (new Error(message)).stack;
+}
+
+MDN.ShaderError.prototype = Object.create(Error.prototype);
+MDN.ShaderError.prototype.constructor = MDN.ShaderError;
+
 MDN.createShader = function (gl, source, type) {
   
   // Compiles either a shader of type gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
@@ -18,13 +34,78 @@ MDN.createShader = function (gl, source, type) {
 
   if ( !gl.getShaderParameter(shader, gl.COMPILE_STATUS) ) {
     
-    var info = gl.getShaderInfoLog( shader );
-    throw new Error("Could not compile WebGL program. \n\n" + info);
+    var stage = type === gl.VERTEX_SHADER ? "vertex" : "fragment";
+    var log = gl.getShaderInfoLog( shader );
+    gl.deleteShader( shader );
+    
+    throw new MDN.ShaderError(
+      "Could not compile the " + stage + " shader.\n\n" + MDN.annotateShaderLog( log, source ),
+      stage, log, source
+    );
   }
 
   return shader
 }
 
+MDN.annotateShaderLog = function (log, source) {
+  
+  /*
+    The info log points to the problems by line number, like:
+    
+      ERROR: 0:12: 'lightt' : undeclared identifier
+    
+    Print the lines of the source around each one, so that it's easy to see
+    what went wrong. The line numbers don't match the lines in the script
+    tags, as they count from the top of the source that was compiled. Say so
+    in the message, rather than leave it to be puzzled out.
+  */
+  
+  var sourceLines = source.split("\n");
+  var pattern = /^(?:ERROR|WARNING):\s*\d+:(\d+):/;
+  
+  var messages = (log || "").split("\n").filter(function(line) {
+    // Skip the empty lines and the null characters some drivers add to the end
+    return line.replace(/\0/g, "").trim() !== "";
+  }).map(function(line) {
+    
+    var match = pattern.exec(line);
+    if( !match ) {
+      return line;
+    }
+    
+    var lineNumber = Number(match[1]);
+    var first = Math.max(1, lineNumber - 2);
+    var last = Math.min(sourceLines.length, lineNumber + 1);
+    var width = String(last).length;
+    var excerpt = [line];
+    
+    for( var i=first; i <= last; i++ ) {
+      var number = String(i);
+      while( number.length < width ) {
+        number = " " + number;
+      }
+      excerpt.push((i === lineNumber ? " > " : "   ") + number + " | " + sourceLines[i - 1]);
+    }
+    
+    return excerpt.join("\n");
+    
+  });
+  
+  var hasLineNumbers = messages.some(function(message) {
+    return pattern.test(message);
+  });
+  
+  if( hasLineNumbers ) {
+    messages.unshift(
+      "The line numbers count the lines of the combined shader source: its scripts joined in order, " +
+      "with any #define lines added at the top and each #include replaced by its file. " +
+      "The full source is on the error's \"source\" property."
+    );
+  }
+  
+  return messages.join("\n\n");
+}
+
 MDN.linkProgram = function (gl, vertexShader, fragmentShader) {
 
   var program = gl.createProgram();
@@ -33,10 +114,23 @@ MDN.linkProgram = function (gl, vertexShader, fragmentShader) {
   gl.attachShader( program, fragmentShader );
 
   gl.linkProgram( program );
+  
+  // The linked program doesn't need the shaders anymore. Detach them so that
+  // they are freed once they are deleted.
+  gl.detachShader( program, vertexShader );
+  gl.detachShader( program, fragmentShader );
 
   if ( !gl.getProgramParameter( program, gl.LINK_STATUS) ) {
-    var info = gl.getProgramInfoLog(program);
-    throw new Error("Could not compile WebGL program. \n\n" + info);
+    
+    // Both shaders compiled, but they don't work together. For instance a
+    // varying is used in the fragment shader that the vertex shader doesn't have.
+    var log = gl.getProgramInfoLog(program);
+    gl.deleteProgram( program );
+    
+    throw new MDN.ShaderError(
+      "Could not link the vertex and fragment shaders into a WebGL program.\n\n" + log,
+      "link", log
+    );
   }
   
   return program;
@@ -44,26 +138,252 @@ MDN.linkProgram = function (gl, vertexShader, fragmentShader) {
 
 MDN.createWebGLProgram = function (gl, vertexSource, fragmentSource) {
 
-  // Combines MDN.createShader() and MDN.linkProgram()
+  // Combines MDN.createShader() and MDN.linkProgram(), and wraps the result
+  // in a MDN.ShaderProgram
   
   var vertexShader = MDN.createShader( gl, vertexSource, gl.VERTEX_SHADER );
-  var fragmentShader = MDN.createShader( gl, fragmentSource, gl.FRAGMENT_SHADER );
+  var fragmentShader;
+  
+  try {
+    fragmentShader = MDN.createShader( gl, fragmentSource, gl.FRAGMENT_SHADER );
+  } catch(error) {
+    // Don't leak the vertex shader when the fragment shader doesn't compile
+    gl.deleteShader( vertexShader );
+    throw error;
+  }
+  
+  // The shaders are only needed to link the program, whether it works or not
+  try {
+    var webglProgram = MDN.linkProgram( gl, vertexShader, fragmentShader );
+  } finally {
+    gl.deleteShader( vertexShader );
+    gl.deleteShader( fragmentShader );
+  }
 
-  return MDN.linkProgram( gl, vertexShader, fragmentShader );
+  return new MDN.ShaderProgram( gl, webglProgram );
 }
 
-MDN.createWebGLProgramFromIds = function (gl, vertexSourceId, fragmentSourceId) {
+MDN.ShaderProgram = function (gl, webglProgram) {
   
-  var vertexSourceEl = document.getElementById(vertexSourceId);
-  var fragmentSourceEl = document.getElementById(fragmentSourceId);
+  /*
+    After a program is linked, WebGL can list every uniform and attribute that
+    the shaders actually use. The wrapper looks them all up once, so there is
+    no need to list them by hand, and it can tell when a name is wrong:
+    
+      var program = MDN.createWebGLProgram(gl, vertexSource, fragmentSource);
+      
+      program.use();
+      program.setUniform("light", [0, 1, 0]);
+      program.setUniforms({ ambientLight: 0.1, lightIntensity: 2 });
+      
+    Each uniform gets a setter for its type, so setUniform() knows to call
+    gl.uniform3fv() for a vec3. The raw program is still there as
+    program.webglProgram for anything that needs it.
+
+    setUniforms() is handy for setting things up, but the object passed to it
+    is new garbage every call. In the draw loop stick to setUniform().
+  */
+  
+  this.gl = gl;
+  this.webglProgram = webglProgram;
+  
+  // The uniforms by name, each with its location, type, size and setter
+  this.uniforms = MDN.getActiveUniforms( gl, webglProgram );
+  
+  // The attributes by name, each with its location, type and size
+  this.attributes = MDN.getActiveAttributes( gl, webglProgram );
+  
+  // Only warn once about each missing uniform, rather than every frame
+  this.warnings = {};
+}
+
+MDN.ShaderProgram.prototype.use = function () {
+  
+  this.gl.useProgram( this.webglProgram );
+}
+
+MDN.ShaderProgram.prototype.hasUniform = function (name) {
+  
+  return this.uniforms.hasOwnProperty( name );
+}
+
+MDN.ShaderProgram.prototype.setUniform = function (name, value) {
+  
+  // The program must be in use for the uniform to be set on it
+  
+  var uniform = this.uniforms[name];
+  
+  if( !uniform ) {
+    if( !this.warnings[name] ) {
+      this.warnings[name] = true;
+      console.warn(
+        "The shader program doesn't have the uniform \"" + name + "\". It may be misspelled, " +
+        "or the shader may not use it, in which case the compiler removes it."
+      );
+    }
+    return;
+  }
+  
+  uniform.set( value );
+}
+
+MDN.ShaderProgram.prototype.setUniforms = function (values) {
+  
+  for( var name in values ) {
+    this.setUniform( name, values[name] );
+  }
+}
+
+MDN.ShaderProgram.prototype.getUniformLocation = function (name) {
+  
+  return this.hasUniform( name ) ? this.uniforms[name].location : null;
+}
+
+MDN.ShaderProgram.prototype.getAttribLocation = function (name) {
+  
+  return this.attributes.hasOwnProperty( name ) ? this.attributes[name].location : -1;
+}
+
+MDN.ShaderProgram.prototype.destroy = function () {
+  
+  // The shaders were already detached and deleted once the program was linked
+  this.gl.deleteProgram( this.webglProgram );
+}
+
+MDN.getActiveUniforms = function (gl, webglProgram) {
+  
+  var uniforms = {};
+  var count = gl.getProgramParameter( webglProgram, gl.ACTIVE_UNIFORMS );
+  
+  for( var i=0; i < count; i++ ) {
+    
+    var info = gl.getActiveUniform( webglProgram, i );
+    
+    // Arrays are listed by their first item, like "lightColor[0]", but are
+    // set all at once by their name
+    var name = info.name.replace(/\[0\]$/, "");
+    var location = gl.getUniformLocation( webglProgram, info.name );
+    
+    uniforms[name] = {
+      location : location,
+      type     : info.type,
+      size     : info.size,
+      set      : MDN.createUniformSetter( gl, location, info.type, info.size )
+    };
+  }
+  
+  return uniforms;
+}
+
+MDN.getActiveAttributes = function (gl, webglProgram) {
+  
+  var attributes = {};
+  var count = gl.getProgramParameter( webglProgram, gl.ACTIVE_ATTRIBUTES );
+  
+  for( var i=0; i < count; i++ ) {
+    
+    var info = gl.getActiveAttrib( webglProgram, i );
+    
+    attributes[info.name] = {
+      location : gl.getAttribLocation( webglProgram, info.name ),
+      type     : info.type,
+      size     : info.size
+    };
+  }
+  
+  return attributes;
+}
+
+MDN.createUniformSetter = function (gl, location, type, size) {
+  
+  // Arrays of numbers need the "v" version of the function, which takes a list
+  var isArray = size > 1;
+  
+  switch( type ) {
+    case gl.FLOAT:
+      return isArray ? function(v) { gl.uniform1fv(location, v); } : function(v) { gl.uniform1f(location, v); };
+    case gl.FLOAT_VEC2: return function(v) { gl.uniform2fv(location, v); };
+    case gl.FLOAT_VEC3: return function(v) { gl.uniform3fv(location, v); };
+    case gl.FLOAT_VEC4: return function(v) { gl.uniform4fv(location, v); };
+    
+    // Booleans and textures are set as integers, a texture by its texture unit
+    case gl.INT:
+    case gl.BOOL:
+    case gl.SAMPLER_2D:
+    case gl.SAMPLER_CUBE:
+      return isArray ? function(v) { gl.uniform1iv(location, v); } : function(v) { gl.uniform1i(location, v); };
+    case gl.INT_VEC2:
+    case gl.BOOL_VEC2: return function(v) { gl.uniform2iv(location, v); };
+    case gl.INT_VEC3:
+    case gl.BOOL_VEC3: return function(v) { gl.uniform3iv(location, v); };
+    case gl.INT_VEC4:
+    case gl.BOOL_VEC4: return function(v) { gl.uniform4iv(location, v); };
+    
+    case gl.FLOAT_MAT2: return function(v) { gl.uniformMatrix2fv(location, false, v); };
+    case gl.FLOAT_MAT3: return function(v) { gl.uniformMatrix3fv(location, false, v); };
+    case gl.FLOAT_MAT4: return function(v) { gl.uniformMatrix4fv(location, false, v); };
+  }
+  
+  throw new Error("Unknown uniform type " + type);
+}
+
+MDN.createWebGLProgramFromIds = function (gl, vertexSourceIds, fragmentSourceIds, defines) {
+  
+  /*
+    Each id can also be a list of ids, and the scripts get joined together in
+    order. This lets a lesson share code, like its lighting, between shaders:
+  
+      MDN.createWebGLProgramFromIds(gl, "vertex-shader", ["fragment-shader", "lighting"]);
+    
+    The optional defines are added to the top of both shaders, see
+    MDN.injectDefines(). Shaders in their own files need to be loaded first,
+    see /shared/shader-loader.js
+  */
   
   return MDN.createWebGLProgram(
     gl,
-    vertexSourceEl.innerHTML,
-    fragmentSourceEl.innerHTML
+    MDN.injectDefines(MDN.getSourceFromIds(vertexSourceIds), defines),
+    MDN.injectDefines(MDN.getSourceFromIds(fragmentSourceIds), defines)
   );
 }
 
+MDN.injectDefines = function (source, defines) {
+  
+  /*
+    Values that the JavaScript and the shader need to agree on can be set from
+    the JavaScript, rather than written in both places:
+    
+      MDN.injectDefines(source, { MAX_LIGHTS: 8 });
+    
+    Adds "#define MAX_LIGHTS 8" to the top of the source. A #version line has to
+    be the first line of a shader, so the defines go after it if there is one.
+  */
+  
+  var lines = Object.keys(defines || {}).map(function(name) {
+    return "#define " + name + " " + defines[name];
+  });
+  
+  if( lines.length === 0 ) {
+    return source;
+  }
+  
+  var version = /^\s*#version[^\n]*\n/.exec(source);
+  var head = version ? version[0] : "";
+  
+  return head + lines.join("\n") + "\n" + source.slice(head.length);
+}
+
+MDN.getSourceFromIds = function (ids) {
+  
+  return [].concat(ids).map(function(id) {
+    var sourceEl = document.getElementById(id);
+    if( !sourceEl ) {
+      throw new Error("Could not find the shader script with the id \"" + id + "\"");
+    }
+    return sourceEl.innerHTML;
+  }).join("\n");
+}
+
 MDN.createContext = function (canvas) {
   
   var gl;
@@ -77,10 +397,61 @@ MDN.createContext = function (canvas) {
   // If we don't have a GL context, give up now
   if (!gl) {
     var message = "Unable to initialize WebGL. Your browser may not support it.";
-    alert(message);
+    MDN.showErrorOverlay(message);
     throw new Error(message);
-    gl = null;
   }
   
   return gl;
 }
+
+MDN.showErrorOverlay = function (message) {
+  
+  /*
+    Show an error on top of the lesson, rather than only in the console where
+    it's easy to miss. Click the overlay to hide it again. The style is in
+    /shared/style.css
+  */
+  
+  var overlay = document.getElementById("error-overlay");
+  
+  if( !overlay ) {
+    overlay = document.createElement("div");
+    overlay.id = "error-overlay";
+    overlay.className = "error-overlay";
+    overlay.title = "Click to hide";
+    overlay.addEventListener("click", function() {
+      overlay.parentNode.removeChild(overlay);
+    }, false);
+    document.body.appendChild(overlay);
+  }
+  
+  // The same error can be thrown more than once, only show it the first time
+  var shown = Array.prototype.some.call(overlay.childNodes, function(child) {
+    return child.textContent === message;
+  });
+  
+  if( !shown ) {
+    var pre = document.createElement("pre");
+    pre.textContent = message;
+    overlay.appendChild(pre);
+  }
+  
+  return overlay;
+}
+
+MDN.hideErrorOverlay = function () {
+  
+  var overlay = document.getElementById("error-overlay");
+  
+  if( overlay ) {
+    overlay.parentNode.removeChild(overlay);
+  }
+}
+
+// Anything that goes wrong and isn't caught, like a shader that doesn't
+// compile, gets shown in the overlay.
+window.addEventListener("error", function(event) {
+  if( event.error ) {
+    MDN.showErrorOverlay(event.error.message || String(event.error));
+  }
+}, false);
@@ -0,0 +1,221 @@
+/**
+ * Shadows for a directional light. The scene is first drawn from the point of
+ * view of the light, but instead of colors, the distance of each surface from
+ * the light is saved into a texture called the shadow map. When the scene is
+ * then drawn normally, each fragment looks itself up in the shadow map. If
+ * something else was closer to the light, then the fragment is in shadow.
+ *
+ *   var shadowMap = new MDN.ShadowMap(gl, 1024);
+ *
+ *   // Each frame, draw the depth of the scene from the light
+ *   shadowMap.update(lightDirection, bounds);
+ *   shadowMap.begin();
+ *   shadowMap.drawMesh(meshBuffers, modelMatrix);
+ *   shadowMap.end();
+ *
+ *   // Then draw the scene with the shadow map, program being a MDN.ShaderProgram
+ *   program.use();
+ *   shadowMap.setUniforms(program, 0);
+ *
+ * The page needs a "shadow-vertex-shader" and "shadow-fragment-shader" that
+ * write the depth, and the lesson's shaders read it back with the
+ * lightViewProjection, shadowMap, shadowMapSize, shadowBias and
+ * shadowFilterRadius uniforms.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/WebGLFramebuffer
+ **/
+
+var MDN = MDN || {};
+
+MDN.ShadowMap = function (gl, size) {
+  
+  this.gl = gl;
+  
+  // The width and height of the shadow map in pixels
+  this.size = size || 1024;
+  
+  /*
+    The depth in the shadow map is only so precise, so a surface can end up
+    shadowing itself in a pattern of stripes called shadow acne. The bias
+    pushes the surface a little closer to the light to avoid this. Too much
+    bias and the shadows start to come unattached from their objects.
+  */
+  this.bias = 0.005;
+  
+  /*
+    Percentage closer filtering (PCF) softens the jagged edges of the shadow
+    map's pixels. Instead of checking one pixel of the shadow map, it checks
+    a square of them around it and averages how many of them are in shadow.
+    A radius of 0 checks 1 pixel, 1 checks 3x3 pixels, and 2 checks 5x5 pixels.
+  */
+  this.filterRadius = 1;
+  
+  this.program = null;
+  this.replaceProgram();
+  
+  // The matrices for looking at the scene from the light
+  this.view           = new Float32Array(16);
+  this.projection     = new Float32Array(16);
+  this.viewProjection = new Float32Array(16);
+  
+  // Where the light's camera is, re-used each frame like the matrices
+  this.lightDirection = new Float32Array(3);
+  this.eye            = new Float32Array(3);
+  this.upY            = new Float32Array([0, 1, 0]);
+  this.upZ            = new Float32Array([0, 0, 1]);
+  
+  this.createFramebuffer();
+}
+
+MDN.ShadowMap.prototype.replaceProgram = function() {
+  
+  // Build the program from the shadow shader scripts. It's built before the
+  // old one is thrown away, so that the old one keeps working if it fails.
+  var program = MDN.createWebGLProgramFromIds(this.gl, "shadow-vertex-shader", "shadow-fragment-shader");
+  
+  if( this.program ) {
+    this.program.destroy();
+  }
+  this.program = program;
+  
+  // The uniforms are set by name, only the attribute is needed for MDN.drawMesh()
+  this.locations = {
+    position : this.program.getAttribLocation("position")
+  };
+};
+
+MDN.ShadowMap.prototype.createFramebuffer = function() {
+  
+  var gl = this.gl;
+  
+  /*
+    WebGL 1 can only read from a depth texture with the WEBGL_depth_texture
+    extension, so instead the depth gets packed into the 4 bytes of a color
+    texture. A depth renderbuffer is still needed so that the closest surface
+    is the one that gets written.
+  */
+  this.texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, this.texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.size, this.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  
+  // The packed depth values can't be blended together, so don't filter them
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  
+  this.depthBuffer = gl.createRenderbuffer();
+  gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.size, this.size);
+  
+  this.framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+  
+  var status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+  
+  // Go back to drawing to the canvas
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+  
+  if( status !== gl.FRAMEBUFFER_COMPLETE ) {
+    throw new Error("The shadow map's framebuffer is incomplete, the status was " + status);
+  }
+};
+
+MDN.ShadowMap.prototype.update = function( lightDirection, bounds ) {
+  
+  /*
+    The light is directional, so all of its rays are parallel. An orthographic
+    projection has no perspective, which matches that. Put the light's camera
+    outside of the bounds, looking back along the light direction, and make the
+    box of the projection big enough to fit the bounds.
+  
+    The lightDirection points from the surface towards the light, and the
+    bounds is a sphere { center, radius }, see MDN.computeBounds().
+  */
+  
+  var center = bounds.center;
+  var radius = bounds.radius;
+  var direction = this.lightDirection;
+  var eye = this.eye;
+  var length = MDN.length(lightDirection);
+  
+  // This runs every frame, so write into the same arrays instead of creating new ones
+  for( var i=0; i < 3; i++ ) {
+    direction[i] = lightDirection[i] / length;
+    eye[i] = center[i] + direction[i] * radius * 2;
+  }
+  
+  // The up vector can't point along the light direction
+  var up = Math.abs(direction[1]) > 0.99 ? this.upZ : this.upY;
+  
+  MDN.lookAtMatrix(eye, center, up, this.view);
+  MDN.orthographicMatrix(-radius, radius, -radius, radius, radius, radius * 3, this.projection);
+  MDN.multiplyMatrices(this.projection, this.view, this.viewProjection);
+};
+
+MDN.ShadowMap.prototype.begin = function() {
+  
+  // Start drawing into the shadow map
+  
+  var gl = this.gl;
+  
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+  gl.viewport(0, 0, this.size, this.size);
+  
+  // Start out with everything as far away as possible
+  gl.clearColor(1, 1, 1, 1);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  gl.clearColor(0, 0, 0, 0);
+  
+  this.program.use();
+  this.program.setUniform("lightViewProjection", this.viewProjection);
+};
+
+MDN.ShadowMap.prototype.drawMesh = function( mesh, model ) {
+  
+  // Draw the depth of the mesh buffers from /shared/mesh.js, placed by the model matrix
+  
+  this.program.setUniform("model", model);
+  MDN.drawMesh(this.gl, mesh, this.locations);
+};
+
+MDN.ShadowMap.prototype.end = function() {
+  
+  var gl = this.gl;
+  
+  // Go back to drawing to the canvas
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+};
+
+MDN.ShadowMap.prototype.setUniforms = function( program, textureUnit ) {
+  
+  // Send the shadow map to the lesson's MDN.ShaderProgram, which must already be in use
+  
+  var gl = this.gl;
+  
+  gl.activeTexture(gl.TEXTURE0 + textureUnit);
+  gl.bindTexture(gl.TEXTURE_2D, this.texture);
+  
+  // One at a time, so that no object is created each frame
+  program.setUniform("shadowMap", textureUnit);
+  program.setUniform("lightViewProjection", this.viewProjection);
+  program.setUniform("shadowMapSize", this.size);
+  program.setUniform("shadowBias", this.bias);
+  program.setUniform("shadowFilterRadius", this.filterRadius);
+};
+
+MDN.ShadowMap.prototype.addDatGui = function( gui ) {
+  
+  var folder = gui.addFolder("shadows");
+  
+  folder.add(this, "bias").min(0).max(0.05).step(0.0005);
+  folder.add(this, "filterRadius").min(0).max(2).step(1);
+  folder.open();
+  
+  return folder;
+};
@@ -0,0 +1,242 @@
+// Known values for the vector, matrix and quaternion helpers in /shared/matrices.js
+
+var SQRT_HALF = Math.sqrt(0.5);
+
+function transformPoint( matrix, point ) {
+  return MDN.multiplyPoint(matrix, [point[0], point[1], point[2], 1]).slice(0, 3);
+}
+
+test("dot multiplies and adds each component", function() {
+  assert.strictEqual(MDN.dot([1, 2, 3], [4, 5, 6]), 32);
+  assert.strictEqual(MDN.dot([1, 0, 0], [0, 1, 0]), 0);
+  assert.strictEqual(MDN.dot([0, 0, 1], [0, 0, -1]), -1);
+});
+
+test("cross follows the right hand rule", function() {
+  assertClose(MDN.cross([1, 0, 0], [0, 1, 0]), [0, 0, 1], "x cross y");
+  assertClose(MDN.cross([0, 1, 0], [0, 0, 1]), [1, 0, 0], "y cross z");
+  assertClose(MDN.cross([0, 1, 0], [1, 0, 0]), [0, 0, -1], "y cross x");
+  assertClose(MDN.cross([1, 2, 3], [4, 5, 6]), [-3, 6, -3]);
+});
+
+test("transposeMatrix swaps the rows and the columns", function() {
+  var matrix = [
+     0,  1,  2,  3,
+     4,  5,  6,  7,
+     8,  9, 10, 11,
+    12, 13, 14, 15
+  ];
+  assert.deepStrictEqual(MDN.transposeMatrix(matrix), [
+    0, 4,  8, 12,
+    1, 5,  9, 13,
+    2, 6, 10, 14,
+    3, 7, 11, 15
+  ]);
+});
+
+test("transposeMatrix can write into the same array", function() {
+  var matrix = MDN.translateMatrix(1, 2, 3);
+  MDN.transposeMatrix(matrix, matrix);
+  assert.deepStrictEqual(matrix.slice(12), [0, 0, 0, 1]);
+  assert.deepStrictEqual([matrix[3], matrix[7], matrix[11]], [1, 2, 3]);
+});
+
+test("lookAtMatrix from along the z axis is a translation", function() {
+  assertClose(
+    MDN.lookAtMatrix([0, 0, 5], [0, 0, 0], [0, 1, 0]),
+    MDN.translateMatrix(0, 0, -5)
+  );
+});
+
+test("lookAtMatrix from along the x axis", function() {
+  assertClose(MDN.lookAtMatrix([5, 0, 0], [0, 0, 0], [0, 1, 0]), [
+     0, 0,  1, 0,
+     0, 1,  0, 0,
+    -1, 0,  0, 0,
+     0, 0, -5, 1
+  ]);
+});
+
+test("lookAtMatrix puts the eye at the origin, looking down -z at the target", function() {
+  var eye = [3, 4, 12];
+  var target = [1, 1, 1];
+  var view = MDN.lookAtMatrix(eye, target, [0, 1, 0]);
+  var distance = MDN.length(MDN.subtract(eye, target));
+
+  assertClose(transformPoint(view, eye), [0, 0, 0], "eye");
+  assertClose(transformPoint(view, target), [0, 0, -distance], "target");
+});
+
+test("the axis rotations turn clockwise looking back down the axis", function() {
+  var quarter = Math.PI / 2;
+  assertClose(transformPoint(MDN.rotateXMatrix(quarter), [0, 1, 0]), [0, 0, -1], "x turns y into -z");
+  assertClose(transformPoint(MDN.rotateYMatrix(quarter), [0, 0, 1]), [-1, 0, 0], "y turns z into -x");
+  assertClose(transformPoint(MDN.rotateZMatrix(quarter), [1, 0, 0]), [0, -1, 0], "z turns x into -y");
+});
+
+test("rotateAxisAngleMatrix matches a known rotation around y", function() {
+  var sin60 = Math.sin(Math.PI / 3);
+  assertClose(MDN.rotateAxisAngleMatrix([0, 1, 0], Math.PI / 3), [
+       0.5, 0, sin60, 0,
+         0, 1,     0, 0,
+    -sin60, 0,   0.5, 0,
+         0, 0,     0, 1
+  ]);
+});
+
+test("rotateAxisAngleMatrix turns the same way as the axis rotations", function() {
+  var angle = Math.PI / 3;
+  assertClose(MDN.rotateAxisAngleMatrix([1, 0, 0], angle), MDN.rotateXMatrix(angle), "x");
+  assertClose(MDN.rotateAxisAngleMatrix([0, 1, 0], angle), MDN.rotateYMatrix(angle), "y");
+  assertClose(MDN.rotateAxisAngleMatrix([0, 0, 1], angle), MDN.rotateZMatrix(angle), "z");
+});
+
+test("rotateAxisAngleMatrix normalizes the axis", function() {
+  assertClose(
+    MDN.rotateAxisAngleMatrix([0, 2, 0], 1.2),
+    MDN.rotateAxisAngleMatrix([0, 1, 0], 1.2)
+  );
+});
+
+test("rotateAxisAngleMatrix around a diagonal axis cycles the axes", function() {
+  // A third of a turn around [1, 1, 1] turns x into z, z into y and y into x
+  var matrix = MDN.rotateAxisAngleMatrix([1, 1, 1], Math.PI * 2 / 3);
+  assertClose(transformPoint(matrix, [1, 0, 0]), [0, 0, 1], "x");
+  assertClose(transformPoint(matrix, [0, 1, 0]), [1, 0, 0], "y");
+  assertClose(transformPoint(matrix, [0, 0, 1]), [0, 1, 0], "z");
+});
+
+test("slerpQuaternions returns the ends at t = 0 and t = 1", function() {
+  var a = MDN.quaternionFromAxisAngle([1, 0, 0], 0.5);
+  var b = MDN.quaternionFromAxisAngle([0, 1, 0], 2);
+  assertClose(MDN.slerpQuaternions(a, b, 0), a, "t = 0");
+  assertClose(MDN.slerpQuaternions(a, b, 1), b, "t = 1");
+});
+
+test("slerpQuaternions halfway between no turn and a quarter turn is an eighth turn", function() {
+  var none = [0, 0, 0, 1];
+  var quarter = MDN.quaternionFromAxisAngle([0, 1, 0], Math.PI / 2);
+
+  assertClose(quarter, [0, -SQRT_HALF, 0, SQRT_HALF], "quarter turn");
+  assertClose(
+    MDN.slerpQuaternions(none, quarter, 0.5),
+    MDN.quaternionFromAxisAngle([0, 1, 0], Math.PI / 4)
+  );
+  assertClose(
+    MDN.slerpQuaternions(none, quarter, 0.5),
+    [0, -Math.sin(Math.PI / 8), 0, Math.cos(Math.PI / 8)]
+  );
+});
+
+test("slerpQuaternions takes the shortest path", function() {
+  // -q is the same rotation as q, so blending to either must give the same rotation
+  var none = [0, 0, 0, 1];
+  var quarter = MDN.quaternionFromAxisAngle([0, 1, 0], Math.PI / 2);
+  var negated = quarter.map(function(value) { return -value; });
+
+  assertClose(
+    MDN.slerpQuaternions(none, negated, 0.5),
+    MDN.slerpQuaternions(none, quarter, 0.5)
+  );
+});
+
+test("slerpQuaternions blends nearly equal rotations without dividing by 0", function() {
+  var a = MDN.quaternionFromAxisAngle([0, 0, 1], 1);
+  var b = MDN.quaternionFromAxisAngle([0, 0, 1], 1 + 1e-8);
+  var result = MDN.slerpQuaternions(a, b, 0.5);
+  assert.ok(result.every(isFinite));
+  assertClose(result, a);
+});
+
+// Inverting matrices, and what happens when they can't be inverted
+
+function withNonInvertible( policy, fn ) {
+  var previous = MDN.matrixSettings.nonInvertible;
+  MDN.matrixSettings.nonInvertible = policy;
+  try {
+    fn();
+  } finally {
+    MDN.matrixSettings.nonInvertible = previous;
+  }
+}
+
+var IDENTITY_3 = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+test("invertMatrix undoes the matrix", function() {
+  var matrix = MDN.multiplyArrayOfMatrices([
+    MDN.translateMatrix(1, -2, 3),
+    MDN.rotateYMatrix(0.7),
+    MDN.scaleMatrix(2, 3, 4)
+  ]);
+  assertClose(MDN.multiplyMatrices(matrix, MDN.invertMatrix(matrix)), MDN.identityMatrix());
+});
+
+test("invertMatrix can write into the same array", function() {
+  var matrix = MDN.translateMatrix(1, 2, 3);
+  MDN.invertMatrix(matrix, matrix);
+  assertClose(matrix, MDN.translateMatrix(-1, -2, -3));
+});
+
+test("invertMatrix inverts tiny and huge scales", function() {
+  assertClose(MDN.invertMatrix(MDN.scaleMatrix(1e-4, 1e-4, 1e-4)), MDN.scaleMatrix(1e4, 1e4, 1e4));
+  assertClose(MDN.invertMatrix(MDN.scaleMatrix(1e6, 1e6, 1e6)), MDN.scaleMatrix(1e-6, 1e-6, 1e-6));
+});
+
+test("normalMatrix of a tiny scale is the inverse scale", function() {
+  assertClose(MDN.normalMatrix(MDN.scaleMatrix(1e-4, 1e-4, 1e-4)), [1e4, 0, 0, 0, 1e4, 0, 0, 0, 1e4]);
+});
+
+test("normalMatrix drops the translation", function() {
+  var rotation = MDN.rotateZMatrix(0.3);
+  var matrix = MDN.multiplyMatrices(MDN.translateMatrix(5, 6, 7), rotation);
+  var normal = MDN.normalMatrix(matrix);
+
+  // The inverse transpose of a rotation is the rotation itself
+  assertClose(normal, [
+    rotation[0], rotation[1], rotation[2],
+    rotation[4], rotation[5], rotation[6],
+    rotation[8], rotation[9], rotation[10]
+  ]);
+});
+
+test("invertMatrix throws for a flattened or squashed matrix", function() {
+  withNonInvertible("throw", function() {
+    [
+      MDN.scaleMatrix(1, 1, 0),
+      MDN.scaleMatrix(1, 1, 1e-12),
+      MDN.scaleMatrix(0, 0, 0)
+    ].forEach(function(matrix) {
+      assert.throws(function() {
+        MDN.invertMatrix(matrix);
+      }, function(error) {
+        return error instanceof MDN.NonInvertibleMatrixError && error instanceof Error;
+      });
+    });
+  });
+});
+
+test("normalMatrix throws for a flattened matrix", function() {
+  withNonInvertible("throw", function() {
+    assert.throws(function() {
+      MDN.normalMatrix(MDN.scaleMatrix(1, 0, 1));
+    }, MDN.NonInvertibleMatrixError);
+  });
+});
+
+test("invertMatrix returns the identity for a flattened matrix with the identity policy", function() {
+  withNonInvertible("identity", function() {
+    var out = [];
+    var result = MDN.invertMatrix(MDN.scaleMatrix(1, 1, 0), out);
+    assert.strictEqual(result, out);
+    assert.deepStrictEqual(out, MDN.identityMatrix());
+  });
+});
+
+test("normalMatrix returns the 3x3 identity for a flattened matrix with the identity policy", function() {
+  withNonInvertible("identity", function() {
+    var out = new Float32Array(9);
+    var result = MDN.normalMatrix(MDN.scaleMatrix(0, 1, 1), out);
+    assert.strictEqual(result, out);
+    assert.deepStrictEqual(Array.prototype.slice.call(out), IDENTITY_3);
+  });
+});
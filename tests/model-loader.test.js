@@ -0,0 +1,197 @@
+// Parse the small models in tests/fixtures with /shared/model-loader.js
+
+function loadFixture( name ) {
+  return MDN.parseModel(readFixture(name), name);
+}
+
+function vertexOf( model, index ) {
+  return Array.prototype.slice.call(model.positions, index * 3, index * 3 + 3);
+}
+
+function assertNormalsPointOutward( model ) {
+
+  // Every triangle of a shape around the origin should face away from it
+
+  for( var i=0; i < model.elements.length; i += 3 ) {
+    var center = [0, 1, 2].map(function(axis) {
+      return (
+        model.positions[model.elements[i] * 3 + axis] +
+        model.positions[model.elements[i + 1] * 3 + axis] +
+        model.positions[model.elements[i + 2] * 3 + axis]
+      ) / 3;
+    });
+    var normal = Array.prototype.slice.call(model.faceNormals, i, i + 3);
+    assert.ok(MDN.dot(center, normal) > 0, "triangle " + i / 3 + " faces inward");
+  }
+}
+
+function assertCube( model ) {
+  assert.strictEqual(model.positions.length, 8 * 3, "8 vertices");
+  assert.strictEqual(model.elements.length, 12 * 3, "each square face is split into 2 triangles");
+  assert.ok(model.elements instanceof Uint16Array);
+  assertClose(vertexOf(model, 0), [-1, -1, -1]);
+  assertClose(vertexOf(model, 6), [1, 1, 1]);
+  assertNormalsPointOutward(model);
+
+  // With no normals in the file, each corner gets the average of its faces,
+  // which points out of the cube
+  for( var i=0; i < 8; i++ ) {
+    var normal = Array.prototype.slice.call(model.vertexNormals, i * 3, i * 3 + 3);
+    assertClose(MDN.length(normal), 1, "vertex " + i + " normal length");
+    assert.ok(MDN.dot(normal, vertexOf(model, i)) > 0, "vertex " + i + " normal points inward");
+  }
+}
+
+// OBJ
+
+test("an OBJ quad is split into two triangles", function() {
+  var model = loadFixture("quad.obj");
+  assert.strictEqual(model.positions.length, 4 * 3);
+  assert.deepStrictEqual(Array.prototype.slice.call(model.elements), [0, 1, 2, 0, 2, 3]);
+  assertClose(model.faceNormals, [0, 0, 1, 0, 0, 1]);
+  assertClose(model.vertexNormals, [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+});
+
+test("OBJ negative indices count back from the latest vertex", function() {
+  var model = loadFixture("negative-indices.obj");
+  assert.deepStrictEqual(Array.prototype.slice.call(model.elements), [0, 1, 2, 3, 4, 5]);
+  assertClose(vertexOf(model, 3), [0, 0, 1]);
+  assertClose(vertexOf(model, 5), [0, 1, 1]);
+});
+
+test("OBJ v//vn normals are kept, with a vertex for each position and normal pair", function() {
+  var model = loadFixture("normals.obj");
+  assert.strictEqual(model.positions.length, 6 * 3, "each position is used with 2 normals");
+  assert.deepStrictEqual(Array.prototype.slice.call(model.elements), [0, 1, 2, 3, 4, 5]);
+  assertClose(model.vertexNormals, [
+    0, 0, 1,   0, 0, 1,   0, 0, 1,
+    0, 0, -1,  0, 0, -1,  0, 0, -1
+  ]);
+});
+
+test("OBJ v/vt/vn faces skip the texture coordinates", function() {
+  var model = loadFixture("texcoords.obj");
+  assert.strictEqual(model.positions.length, 3 * 3);
+  assertClose(model.vertexNormals, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+});
+
+test("an OBJ face with a missing position throws a readable error", function() {
+  assert.throws(function() {
+    MDN.parseOBJ("v 0 0 0\nv 1 0 0\nf 1 2 3\n");
+  }, /position that doesn't exist: 3/);
+});
+
+test("an OBJ face with a missing normal throws a readable error", function() {
+  assert.throws(function() {
+    MDN.parseOBJ("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1//1 2//1 3//1\n");
+  }, /normal that doesn't exist: 1\/\/1/);
+});
+
+test("an OBJ face with fewer than 3 corners throws a readable error", function() {
+  assert.throws(function() {
+    MDN.parseOBJ("v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\nf 1 2\n");
+  }, /face on line 5 needs at least 3 corners: f 1 2/);
+});
+
+// PLY
+
+test("an ASCII PLY cube", function() {
+  assertCube(loadFixture("cube-ascii.ply"));
+});
+
+test("a little endian binary PLY cube", function() {
+  assertCube(loadFixture("cube-binary-little-endian.ply"));
+});
+
+test("a big endian binary PLY cube", function() {
+  assertCube(loadFixture("cube-binary-big-endian.ply"));
+});
+
+test("the PLY formats all give the same model", function() {
+  var ascii = loadFixture("cube-ascii.ply");
+  var little = loadFixture("cube-binary-little-endian.ply");
+  var big = loadFixture("cube-binary-big-endian.ply");
+
+  assert.deepStrictEqual(little.positions, ascii.positions);
+  assert.deepStrictEqual(big.positions, ascii.positions);
+  assert.deepStrictEqual(little.elements, ascii.elements);
+  assert.deepStrictEqual(big.elements, ascii.elements);
+});
+
+test("PLY vertex normals are kept from the file", function() {
+  var model = MDN.parsePLY([
+    "ply",
+    "format ascii 1.0",
+    "element vertex 3",
+    "property float x", "property float y", "property float z",
+    "property float nx", "property float ny", "property float nz",
+    "element face 1",
+    "property list uchar int vertex_indices",
+    "end_header",
+    "0 0 0 0 1 0",
+    "1 0 0 0 1 0",
+    "0 1 0 0 1 0",
+    "3 0 1 2",
+    ""
+  ].join("\n"));
+
+  assertClose(model.vertexNormals, [0, 1, 0, 0, 1, 0, 0, 1, 0]);
+  assertClose(model.faceNormals, [0, 0, 1]);
+});
+
+test("a file that isn't a PLY throws", function() {
+  assert.throws(function() {
+    MDN.parsePLY("solid cube\nendsolid\n");
+  }, /doesn't start with "ply"/);
+});
+
+test("a PLY without an end to its header throws", function() {
+  assert.throws(function() {
+    MDN.parsePLY("ply\nformat ascii 1.0\nelement vertex 0\n");
+  }, /missing its "end_header"/);
+});
+
+test("an unknown PLY format throws", function() {
+  assert.throws(function() {
+    MDN.parsePLY("ply\nformat binary_middle_endian 1.0\nend_header\n");
+  }, /Unknown PLY format "binary_middle_endian"/);
+});
+
+function plyTriangle( faceProperty, face ) {
+  return [
+    "ply",
+    "format ascii 1.0",
+    "element vertex 3",
+    "property float x", "property float y", "property float z",
+    "element face 1",
+    faceProperty,
+    "end_header",
+    "0 0 0",
+    "1 0 0",
+    "0 1 0",
+    face,
+    ""
+  ].join("\n");
+}
+
+test("a PLY face element without vertex_indices throws a readable error", function() {
+  assert.throws(function() {
+    MDN.parsePLY(plyTriangle("property list uchar int corners", "3 0 1 2"));
+  }, /face element has no "vertex_indices" property/);
+});
+
+test("a PLY face that refers to a missing vertex throws a readable error", function() {
+  assert.throws(function() {
+    MDN.parsePLY(plyTriangle("property list uchar int vertex_indices", "3 0 1 3"));
+  }, /face 0 refers to vertex 3, but there are only 3 vertices/);
+  assert.throws(function() {
+    MDN.parsePLY(plyTriangle("property list uchar int vertex_indices", "3 -1 1 2"));
+  }, /face 0 refers to vertex -1/);
+});
+
+test("parseModel picks the parser from the file extension", function() {
+  assertCube(MDN.parseModel(readFixture("cube-ascii.ply"), "models/CUBE.PLY"));
+  assert.throws(function() {
+    MDN.parseModel(readFixture("quad.obj"), "quad.stl");
+  }, /Unknown model format "stl"/);
+});
@@ -0,0 +1,148 @@
+// Face and vertex normals from /shared/normals.js, and the cube's own normals
+
+function slice( array, index ) {
+  return Array.prototype.slice.call(array, index * 3, index * 3 + 3);
+}
+
+function createSharedCube() {
+
+  // A cube from -1 to 1 with only 8 vertices, shared between all of its faces
+
+  return {
+    positions : new Float32Array([
+      -1, -1, -1,   1, -1, -1,   1,  1, -1,  -1,  1, -1,
+      -1, -1,  1,   1, -1,  1,   1,  1,  1,  -1,  1,  1
+    ]),
+    elements : new Uint16Array([
+      0, 3, 2,  0, 2, 1, // back
+      4, 5, 6,  4, 6, 7, // front
+      0, 1, 5,  0, 5, 4, // bottom
+      2, 3, 7,  2, 7, 6, // top
+      1, 2, 6,  1, 6, 5, // right
+      0, 4, 7,  0, 7, 3  // left
+    ])
+  };
+}
+
+function createFan() {
+
+  /*
+    Two triangles that meet at the origin. The first is small, facing +z with
+    a 90 degree corner at the origin. The second is big, facing +x with a 45
+    degree corner at the origin.
+  */
+
+  return {
+    positions : new Float32Array([
+      0, 0, 0,
+      1, 0, 0,   0, 1, 0, // Small, +z
+      0, 4, 0,   0, 4, 4  // Big, +x
+    ]),
+    elements : new Uint16Array([
+      0, 1, 2,
+      0, 3, 4
+    ])
+  };
+}
+
+test("computeFaceNormals of the cube point out of each face", function() {
+  var cube = MDN.createCubeData();
+  var faceNormals = MDN.computeFaceNormals(cube.positions, cube.elements);
+  var outOfFaces = [
+    [0, 0, 1], [0, 0, -1], [0, 1, 0], [0, -1, 0], [1, 0, 0], [-1, 0, 0]
+  ];
+
+  assert.strictEqual(faceNormals.length, cube.elements.length);
+
+  outOfFaces.forEach(function(normal, face) {
+    assertClose(slice(faceNormals, face * 2), normal, "face " + face + ", first triangle");
+    assertClose(slice(faceNormals, face * 2 + 1), normal, "face " + face + ", second triangle");
+  });
+});
+
+test("the cube data has a normal for each vertex, pointing out of its face", function() {
+  var cube = MDN.createCubeData();
+  assert.strictEqual(cube.normals.length, cube.positions.length);
+  assertClose(cube.normals, MDN.computeVertexNormals(cube.positions, cube.elements));
+});
+
+test("createCubeModel uses the cube's normals", function() {
+  var model = MDN.createCubeModel();
+  assertClose(model.vertexNormals, MDN.createCubeData().normals);
+});
+
+test("area weighting lets the bigger triangle count more", function() {
+  var fan = createFan();
+  var normals = MDN.computeVertexNormals(fan.positions, fan.elements, "area");
+
+  // The cross products are 1 and 16 long, twice the areas of 0.5 and 8
+  assertClose(slice(normals, 0), MDN.normalize([16, 0, 1]));
+});
+
+test("angle weighting lets the wider corner count more", function() {
+  var fan = createFan();
+  var normals = MDN.computeVertexNormals(fan.positions, fan.elements, "angle");
+
+  // 90 degrees of +z and 45 degrees of +x
+  assertClose(slice(normals, 0), MDN.normalize([1, 0, 2]));
+});
+
+test("no weighting counts every triangle the same", function() {
+  var fan = createFan();
+  var normals = MDN.computeVertexNormals(fan.positions, fan.elements, "none");
+  assertClose(slice(normals, 0), MDN.normalize([1, 0, 1]));
+});
+
+test("area weighting is the default", function() {
+  var fan = createFan();
+  assertClose(
+    MDN.computeVertexNormals(fan.positions, fan.elements),
+    MDN.computeVertexNormals(fan.positions, fan.elements, "area")
+  );
+});
+
+test("angle weighting points the corners of a shared cube along the diagonals", function() {
+  // Each corner touches 3 faces with 90 degrees of each, no matter how they're split up
+  var cube = createSharedCube();
+  var normals = MDN.computeVertexNormals(cube.positions, cube.elements, "angle");
+
+  for( var i=0; i < 8; i++ ) {
+    assertClose(slice(normals, i), MDN.normalize(slice(cube.positions, i)), "vertex " + i);
+  }
+});
+
+test("splitByCreaseAngle splits the shared cube's corners into a vertex for each face", function() {
+  var cube = createSharedCube();
+  var mesh = MDN.splitByCreaseAngle(cube.positions, cube.elements, Math.PI / 4);
+
+  assert.strictEqual(mesh.positions.length / 3, 24);
+  assert.strictEqual(mesh.vertexNormals.length, mesh.positions.length);
+  assert.strictEqual(mesh.elements.length, cube.elements.length);
+  assert.ok(mesh.elements instanceof Uint16Array);
+
+  // Every corner of every triangle has the normal of its face, and the same position as before
+  for( var i=0; i < mesh.elements.length; i++ ) {
+    var triangle = Math.floor(i / 3);
+    assertClose(slice(mesh.vertexNormals, mesh.elements[i]), slice(mesh.faceNormals, triangle), "corner " + i);
+    assertClose(slice(mesh.positions, mesh.elements[i]), slice(cube.positions, cube.elements[i]), "corner " + i);
+  }
+});
+
+test("splitByCreaseAngle keeps the vertices shared when the crease angle is wide enough", function() {
+  var cube = createSharedCube();
+  var mesh = MDN.splitByCreaseAngle(cube.positions, cube.elements, Math.PI, "angle");
+
+  assert.strictEqual(mesh.positions.length / 3, 8);
+  assertClose(mesh.vertexNormals, MDN.computeVertexNormals(cube.positions, cube.elements, "angle"));
+});
+
+test("createFlatModel gives every corner the normal of its triangle", function() {
+  var cube = createSharedCube();
+  var flat = MDN.createFlatModel(cube);
+  var faceNormals = MDN.computeFaceNormals(cube.positions, cube.elements);
+
+  assert.strictEqual(flat.positions.length / 3, cube.elements.length);
+  for( var i=0; i < cube.elements.length; i++ ) {
+    assertClose(slice(flat.vertexNormals, i), slice(faceNormals, Math.floor(i / 3)), "corner " + i);
+  }
+});
@@ -0,0 +1,145 @@
+/**
+ * Runs the unit tests for the shared code that doesn't need WebGL, like the
+ * matrix math, the normals, the model parsers and the shader loader. Only Node is needed, there
+ * is nothing to install:
+ *
+ *   node tests/run.js             // Run every tests/*.test.js file
+ *   node tests/run.js matrices    // Run only tests/matrices.test.js
+ *
+ * The shared files are written for the page, where they all add to the same
+ * global MDN object. Each test file gets a fresh sandbox with those files
+ * loaded into it, and these globals for writing the tests:
+ *
+ *   test( name, fn )                     // Add a test, it fails if fn throws
+ *   assert                               // Node's assert module
+ *   assertClose( actual, expected, msg ) // Compare numbers or arrays of numbers
+ *   readFixture( name )                  // An ArrayBuffer of tests/fixtures/<name>
+ *   readFile( name )                     // The text of a file, from the root directory
+ *   listFiles( folder )                  // The names in a folder, from the root directory
+ **/
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var assert = require("assert");
+
+// The shared files the tests run against, in the order a page would load them
+var SHARED_SCRIPTS = [
+  "matrices.js",
+  "mesh.js",
+  "normals.js",
+  "model-loader.js",
+  "cube.js",
+  "shader-loader.js"
+];
+
+var EPSILON = 1e-6;
+
+function assertClose( actual, expected, message ) {
+
+  // Numbers only need to be within EPSILON, as floating point math rounds
+
+  var actualArray = typeof actual === "number" ? [actual] : Array.prototype.slice.call(actual);
+  var expectedArray = typeof expected === "number" ? [expected] : Array.prototype.slice.call(expected);
+
+  var close = actualArray.length === expectedArray.length && actualArray.every(function(value, i) {
+    return Math.abs(value - expectedArray[i]) <= EPSILON;
+  });
+
+  if( !close ) {
+    throw new assert.AssertionError({
+      message  : (message ? message + ": " : "") + "expected [" + expectedArray.join(", ") + "] but got [" + actualArray.join(", ") + "]",
+      actual   : actual,
+      expected : expected
+    });
+  }
+}
+
+function readFixture( name ) {
+
+  var file = fs.readFileSync(path.join(__dirname, "fixtures", name));
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+function readFile( name ) {
+
+  return fs.readFileSync(path.join(__dirname, "..", name), "utf8");
+}
+
+function listFiles( folder ) {
+
+  return fs.readdirSync(path.join(__dirname, "..", folder)).sort();
+}
+
+function createSandbox( tests ) {
+
+  var sandbox = {
+    console     : console,
+    TextDecoder : TextDecoder,
+    assert      : assert,
+    assertClose : assertClose,
+    readFixture : readFixture,
+    readFile    : readFile,
+    listFiles   : listFiles,
+    test        : function( name, fn ) {
+      tests.push({ name: name, fn: fn });
+    }
+  };
+  sandbox.window = sandbox;
+
+  vm.createContext(sandbox);
+
+  SHARED_SCRIPTS.forEach(function(script) {
+    var filename = path.join(__dirname, "..", "shared", script);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), sandbox, { filename: filename });
+  });
+
+  return sandbox;
+}
+
+function runFile( filename ) {
+
+  var tests = [];
+  var sandbox = createSandbox(tests);
+  var failures = 0;
+
+  vm.runInContext(fs.readFileSync(filename, "utf8"), sandbox, { filename: filename });
+
+  console.log(path.basename(filename));
+
+  tests.forEach(function(test) {
+    try {
+      test.fn();
+      console.log("  ok      " + test.name);
+    } catch( error ) {
+      failures++;
+      console.log("  FAILED  " + test.name);
+      console.log("          " + String(error.stack || error).split("\n").join("\n          "));
+    }
+  });
+
+  return { count: tests.length, failures: failures };
+}
+
+var only = process.argv[2];
+
+var files = fs.readdirSync(__dirname).filter(function(name) {
+  return /\.test\.js$/.test(name) && (!only || name === only + ".test.js");
+}).sort();
+
+if( files.length === 0 ) {
+  console.log("No tests found" + (only ? " for \"" + only + "\"" : ""));
+  process.exit(1);
+}
+
+var total = { count: 0, failures: 0 };
+
+files.forEach(function(name) {
+  var result = runFile(path.join(__dirname, name));
+  total.count += result.count;
+  total.failures += result.failures;
+});
+
+console.log("\n" + (total.count - total.failures) + " of " + total.count + " tests passed");
+
+process.exit(total.failures > 0 ? 1 : 0);
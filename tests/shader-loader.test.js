@@ -0,0 +1,113 @@
+// The shader loading in /shared/shader-loader.js, and the lessons' copies of the shared shader files
+
+function getShaderScripts( html ) {
+
+  var pattern = /<script id="([^"]+)" type="x-shader\/[^"]+"(?: src="([^"]+)")?>([\s\S]*?)<\/script>/g;
+  var scripts = [];
+  var match;
+
+  while( (match = pattern.exec(html)) ) {
+    scripts.push({ id: match[1], src: match[2] || null, text: match[3] });
+  }
+  return scripts;
+}
+
+function getIncludes( source, url ) {
+
+  var pattern = /^[ \t]*#include[ \t]+"([^"]+)"[ \t]*$/gm;
+  var includes = [];
+  var match;
+
+  while( (match = pattern.exec(source)) ) {
+    includes.push(MDN.resolveShaderUrl(match[1], url));
+  }
+  return includes;
+}
+
+function withoutIndentation( source ) {
+
+  // The copies are indented to fit in the page
+  return source.split("\n").map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line !== "";
+  }).join("\n");
+}
+
+function forEachLesson( fn ) {
+
+  listFiles("lessons").forEach(function(id) {
+    var url = "lessons/" + id + "/index.html";
+    fn(id, url, getShaderScripts(readFile(url)));
+  });
+}
+
+test("resolveShaderUrl finds includes relative to the file they are in", function() {
+  assert.strictEqual(MDN.resolveShaderUrl("depth-packing.glsl", "shared/glsl/shadows.glsl"), "shared/glsl/depth-packing.glsl");
+  assert.strictEqual(MDN.resolveShaderUrl("../../shared/glsl/lights.glsl", "lessons/05-multiple-lights/index.html"), "shared/glsl/lights.glsl");
+  assert.strictEqual(MDN.resolveShaderUrl("../../shared/glsl/lights.glsl", ""), "../../shared/glsl/lights.glsl");
+});
+
+test("every copy of a shared shader file in a lesson matches the file", function() {
+  forEachLesson(function(id, url, scripts) {
+    scripts.forEach(function(script) {
+      if( script.src && script.text.trim() !== "" ) {
+        var file = MDN.resolveShaderUrl(script.src, url);
+        assert.strictEqual(
+          withoutIndentation(script.text),
+          withoutIndentation(readFile(file)),
+          id + " has an out of date copy of " + file
+        );
+      }
+    });
+  });
+});
+
+test("every shared shader file a lesson uses has a copy in the page, so it works from the disk", function() {
+  forEachLesson(function(id, url, scripts) {
+
+    var copies = {};
+    var needed = [];
+
+    scripts.forEach(function(script) {
+      if( script.src ) {
+        var file = MDN.resolveShaderUrl(script.src, url);
+        needed.push(file);
+        if( script.text.trim() !== "" ) {
+          copies[file] = true;
+        }
+      } else {
+        needed = needed.concat(getIncludes(script.text, url));
+      }
+    });
+
+    // Follow the includes in the files too
+    for( var i=0; i < needed.length; i++ ) {
+      getIncludes(readFile(needed[i]), needed[i]).forEach(function(file) {
+        if( needed.indexOf(file) === -1 ) {
+          needed.push(file);
+        }
+      });
+    }
+
+    needed.forEach(function(file) {
+      assert.ok(copies[file], id + " has no copy of " + file);
+    });
+  });
+});
+
+test("resolveIncludes only calls back once when a file includes itself more than once", function() {
+  var calls = [];
+  var source = [
+    "#include \"loop.glsl\"",
+    "void main() {}",
+    "#include \"loop.glsl\""
+  ].join("\n");
+
+  MDN.resolveIncludes(source, "shared/glsl/loop.glsl", function(error) {
+    calls.push(error);
+  }, ["shared/glsl/loop.glsl"]);
+
+  assert.strictEqual(calls.length, 1);
+  assert.ok(/ends up including itself/.test(calls[0].message));
+});